@@ -0,0 +1,223 @@
+/**
+ * Voxel Game - Procedural Atlas Generator
+ * Paints the block texture atlas in memory from block definitions
+ * Version: 0.0.1
+ */
+
+import { Blocks } from '../world/Block.js';
+
+export class AtlasGenerator {
+    constructor(layout, seed = 1337) {
+        this.layout = layout;
+        this.seed = seed;
+        
+        // RGBA pixels, row 0 is the top of the atlas image
+        this.size = layout.atlasSize;
+        this.pixels = new Uint8Array(this.size * this.size * 4);
+        
+        // Pattern painters, selected by a tile's paint.pattern
+        this.patterns = {
+            noise: (x, y, style, salt) => this.paintNoise(x, y, style, salt),
+            speckle: (x, y, style, salt) => this.paintSpeckle(x, y, style, salt),
+            grassSide: (x, y, style, salt) => this.paintGrassSide(x, y, style, salt),
+            rings: (x, y, style, salt) => this.paintRings(x, y, style, salt),
+            bark: (x, y, style, salt) => this.paintBark(x, y, style, salt),
+            leaves: (x, y, style, salt) => this.paintLeaves(x, y, style, salt),
+            water: (x, y, style, salt) => this.paintWater(x, y, style, salt)
+        };
+    }
+    
+    /**
+     * Paint every tile referenced by the registered blocks
+     * @returns {Uint8Array} RGBA pixels of size TEXTURE_ATLAS_SIZE²
+     */
+    generate() {
+        const painted = new Set();
+        
+        for (const block of Blocks.getAll()) {
+            if (!block.paint) continue;
+            
+            for (const [key, tile] of Object.entries(block.textures)) {
+                // Shared tiles (grass bottom is dirt) are painted by their owner
+                const style = block.paint[key];
+                if (!style || painted.has(tile)) continue;
+                
+                this.paintTile(tile, style);
+                painted.add(tile);
+            }
+        }
+        
+        return this.pixels;
+    }
+    
+    /**
+     * Paint a single tile with a paint style
+     * Style: { pattern, color: [r, g, b], secondary?: [r, g, b], variation?, alpha? }
+     */
+    paintTile(tile, style) {
+        const painter = this.patterns[style.pattern || 'noise'];
+        if (!painter) {
+            throw new Error(`Unknown atlas paint pattern: ${style.pattern}`);
+        }
+        
+        const tileSize = this.layout.tileSize;
+        const padding = this.layout.padding;
+        const origin = this.layout.getTileOrigin(tile);
+        
+        // Paint the gutter too by clamping into the tile, so padding
+        // repeats the edge texels
+        for (let py = -padding; py < tileSize + padding; py++) {
+            for (let px = -padding; px < tileSize + padding; px++) {
+                const x = Math.min(tileSize - 1, Math.max(0, px));
+                const y = Math.min(tileSize - 1, Math.max(0, py));
+                const color = painter(x, y, style, tile);
+                
+                const index = ((origin.y + py) * this.size + (origin.x + px)) * 4;
+                this.pixels[index] = color[0];
+                this.pixels[index + 1] = color[1];
+                this.pixels[index + 2] = color[2];
+                this.pixels[index + 3] = color[3];
+            }
+        }
+    }
+    
+    /**
+     * Mottled surface (stone, dirt, sand, snow)
+     */
+    paintNoise(x, y, style, salt) {
+        const variation = style.variation !== undefined ? style.variation : 0.12;
+        const blotch = this.tileNoise(x, y, 4, salt) * 0.7 + this.hash(x, y, salt) * 0.3;
+        return this.shade(style.color, 1 + (blotch - 0.5) * 2 * variation, style.alpha);
+    }
+    
+    /**
+     * Base color with scattered specks of the secondary color (gravel, bedrock)
+     */
+    paintSpeckle(x, y, style, salt) {
+        const density = style.density !== undefined ? style.density : 0.25;
+        const base = this.paintNoise(x, y, style, salt);
+        
+        if (this.hash(x, y, salt + 101) < density) {
+            return this.shade(style.secondary, 0.9 + this.hash(x, y, salt + 202) * 0.2, style.alpha);
+        }
+        
+        return base;
+    }
+    
+    /**
+     * Dirt side with a ragged band of grass along the top
+     */
+    paintGrassSide(x, y, style, salt) {
+        const depth = 3 + Math.floor(this.hash(x, 0, salt) * 3);
+        if (y < depth) {
+            return this.paintNoise(x, y, style, salt);
+        }
+        
+        return this.paintNoise(x, y, { color: style.secondary, variation: style.variation }, salt + 7);
+    }
+    
+    /**
+     * Concentric growth rings (log ends)
+     */
+    paintRings(x, y, style, salt) {
+        const center = (this.layout.tileSize - 1) / 2;
+        const distance = Math.sqrt((x - center) * (x - center) + (y - center) * (y - center));
+        const ring = Math.floor(distance + this.hash(x, y, salt) * 0.8) % 2;
+        
+        if (distance > center - 0.5) {
+            return this.paintBark(x, y, { ...style, color: style.secondary }, salt);
+        }
+        
+        return this.shade(style.color, ring ? 0.85 : 1.05, style.alpha);
+    }
+    
+    /**
+     * Vertical streaks (log sides)
+     */
+    paintBark(x, y, style, salt) {
+        const streak = this.hash(x, 0, salt) * 0.6 + this.tileNoise(x, y, 8, salt) * 0.4;
+        return this.shade(style.color, 0.75 + streak * 0.4, style.alpha);
+    }
+    
+    /**
+     * Foliage with see-through gaps (alpha is cut out by the shader)
+     */
+    paintLeaves(x, y, style, salt) {
+        if (this.hash(x, y, salt + 303) < (style.holes || 0.15)) {
+            return [0, 0, 0, 0];
+        }
+        
+        return this.paintNoise(x, y, { ...style, variation: style.variation || 0.25 }, salt);
+    }
+    
+    /**
+     * Translucent water with soft horizontal ripples
+     */
+    paintWater(x, y, style, salt) {
+        const ripple = Math.sin((y + this.tileNoise(x, y, 8, salt) * 4) * Math.PI / 4) * 0.5 + 0.5;
+        return this.shade(style.color, 0.9 + ripple * 0.15, style.alpha);
+    }
+    
+    /**
+     * Scale a color by a brightness factor
+     */
+    shade(color, factor, alpha = 1) {
+        return [
+            Math.max(0, Math.min(255, Math.round(color[0] * factor))),
+            Math.max(0, Math.min(255, Math.round(color[1] * factor))),
+            Math.max(0, Math.min(255, Math.round(color[2] * factor))),
+            Math.round(alpha * 255)
+        ];
+    }
+    
+    /**
+     * Smooth value noise that wraps at the tile size, so tiles repeat seamlessly
+     */
+    tileNoise(x, y, cellSize, salt) {
+        const cells = Math.max(1, Math.floor(this.layout.tileSize / cellSize));
+        const gx = x / cellSize;
+        const gy = y / cellSize;
+        const ix = Math.floor(gx);
+        const iy = Math.floor(gy);
+        const fx = gx - ix;
+        const fy = gy - iy;
+        
+        // Smoothstep interpolation between wrapped lattice values
+        const sx = fx * fx * (3 - 2 * fx);
+        const sy = fy * fy * (3 - 2 * fy);
+        
+        const x0 = ix % cells, x1 = (ix + 1) % cells;
+        const y0 = iy % cells, y1 = (iy + 1) % cells;
+        
+        const top = this.hash(x0, y0, salt + 17) * (1 - sx) + this.hash(x1, y0, salt + 17) * sx;
+        const bottom = this.hash(x0, y1, salt + 17) * (1 - sx) + this.hash(x1, y1, salt + 17) * sx;
+        
+        return top * (1 - sy) + bottom * sy;
+    }
+    
+    /**
+     * Deterministic hash of integer coordinates to [0, 1)
+     */
+    hash(x, y, salt) {
+        let h = Math.imul(x, 374761393) ^ Math.imul(y, 668265263) ^ Math.imul(salt + this.seed, 1442695041);
+        h = Math.imul(h ^ (h >>> 13), 1274126177);
+        h ^= h >>> 16;
+        return (h >>> 0) / 4294967296;
+    }
+    
+    /**
+     * Draw the generated atlas into a canvas (for previewing block looks)
+     */
+    toCanvas() {
+        const canvas = document.createElement('canvas');
+        canvas.width = this.size;
+        canvas.height = this.size;
+        
+        const context = canvas.getContext('2d');
+        const image = context.createImageData(this.size, this.size);
+        image.data.set(this.pixels);
+        context.putImageData(image, 0, 0);
+        
+        return canvas;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,310 @@
+/**
+ * Voxel Game - Chunk Batch
+ * Shared vertex/index buffers holding the meshes of one region of chunks,
+ * drawn together with per-chunk offsets stored in the vertices
+ * Version: 0.0.1
+ */
+
+import { VERTEX_BYTES } from '../world/Chunk.js';
+
+/**
+ * Chunk columns per region side; a chunk's offset in its region must fit the
+ * 4-bit x/z fields of the packed vertex (see VERTEX_BYTES)
+ */
+export const REGION_SIZE = 16;
+
+// Upload copies of a mesh, with its chunk offset stamped in and indices
+// rebased; shared by every batch and grown on demand
+let uploadVertices = new Uint8Array(4096 * VERTEX_BYTES);
+let uploadIndices = new Uint32Array(6144);
+
+export class ChunkBatch {
+    /**
+     * @param {Engine} engine - Provides the context and attribute setup
+     * @param {number} regionX - Region coordinates (chunks / REGION_SIZE)
+     * @param {number} regionZ
+     */
+    constructor(engine, regionX, regionZ) {
+        this.engine = engine;
+        this.gl = engine.gl;
+        this.regionX = regionX;
+        this.regionZ = regionZ;
+        
+        // Region origin in chunks, for the model matrix
+        this.originX = regionX * REGION_SIZE;
+        this.originZ = regionZ * REGION_SIZE;
+        
+        // Capacities in vertices and indices; doubled as the region fills
+        this.vertexCapacity = 65536;
+        this.indexCapacity = 98304;
+        this.vertexRanges = new RangeAllocator(this.vertexCapacity);
+        this.indexRanges = new RangeAllocator(this.indexCapacity);
+        
+        // Meshes stored here and their chunks, for re-upload when the buffers
+        // grow without copyBufferSubData
+        this.meshes = new Map();
+        
+        // Same fields as an uploaded mesh, so Engine.bindChunkBuffers takes it
+        this.vertexBuffer = null;
+        this.indexBuffer = null;
+        this.stride = VERTEX_BYTES;
+        this.vao = null;
+        
+        this.createBuffers();
+    }
+    
+    /**
+     * Allocate the shared buffers at the current capacity and record the VAO
+     */
+    createBuffers() {
+        const gl = this.gl;
+        
+        this.vertexBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.vertexBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, this.vertexCapacity * VERTEX_BYTES, gl.STATIC_DRAW);
+        
+        this.indexBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.indexBuffer);
+        gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, this.indexCapacity * 4, gl.STATIC_DRAW);
+        
+        if (this.engine.supportsVAO) {
+            const resources = this.engine.gpuResources;
+            this.vao = resources.createVertexArray();
+            resources.bindVertexArray(this.vao);
+            this.engine.bindChunkBuffers(this, this.engine.shaders.block);
+            resources.bindVertexArray(null);
+        }
+    }
+    
+    /**
+     * Store a chunk's mesh in the shared buffers
+     * Sets mesh.batch, mesh.vertexStart and mesh.indexStart.
+     */
+    add(mesh, chunk) {
+        let vertexStart = this.vertexRanges.allocate(mesh.vertexCount);
+        let indexStart = this.indexRanges.allocate(mesh.indexCount);
+        
+        if (vertexStart === -1 || indexStart === -1) {
+            if (vertexStart !== -1) this.vertexRanges.free(vertexStart, mesh.vertexCount);
+            if (indexStart !== -1) this.indexRanges.free(indexStart, mesh.indexCount);
+            
+            this.grow(mesh.vertexCount, mesh.indexCount);
+            vertexStart = this.vertexRanges.allocate(mesh.vertexCount);
+            indexStart = this.indexRanges.allocate(mesh.indexCount);
+        }
+        
+        mesh.batch = this;
+        mesh.vertexStart = vertexStart;
+        mesh.indexStart = indexStart;
+        this.meshes.set(mesh, chunk);
+        
+        this.writeMesh(mesh, chunk);
+    }
+    
+    /**
+     * Free a mesh's ranges
+     */
+    remove(mesh) {
+        this.vertexRanges.free(mesh.vertexStart, mesh.vertexCount);
+        this.indexRanges.free(mesh.indexStart, mesh.indexCount);
+        this.meshes.delete(mesh);
+        mesh.batch = null;
+    }
+    
+    /**
+     * Upload a mesh at its ranges: its vertices with the chunk's position in
+     * the region stamped in (y into the top six bits of byte 6, above AO, x
+     * and z into the nibbles of byte 7), and its indices rebased to its
+     * first vertex. The mesh's own arrays are left as the mesher built them.
+     */
+    writeMesh(mesh, chunk) {
+        const gl = this.gl;
+        const vertexBytes = mesh.vertexCount * VERTEX_BYTES;
+        
+        if (uploadVertices.length < vertexBytes) {
+            uploadVertices = new Uint8Array(2 ** Math.ceil(Math.log2(vertexBytes)));
+        }
+        if (uploadIndices.length < mesh.indexCount) {
+            uploadIndices = new Uint32Array(2 ** Math.ceil(Math.log2(mesh.indexCount)));
+        }
+        
+        const vertices = uploadVertices.subarray(0, vertexBytes);
+        const packedY = chunk.position.y << 2;
+        const packedXZ = (chunk.position.x - this.originX) | ((chunk.position.z - this.originZ) << 4);
+        
+        vertices.set(mesh.vertices.subarray(0, vertexBytes));
+        for (let i = 0; i < vertexBytes; i += VERTEX_BYTES) {
+            vertices[i + 6] = (vertices[i + 6] & 3) | packedY;
+            vertices[i + 7] = packedXZ;
+        }
+        
+        const indices = uploadIndices.subarray(0, mesh.indexCount);
+        for (let i = 0; i < mesh.indexCount; i++) {
+            indices[i] = mesh.indices[i] + mesh.vertexStart;
+        }
+        
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.vertexBuffer);
+        gl.bufferSubData(gl.ARRAY_BUFFER, mesh.vertexStart * VERTEX_BYTES, vertices);
+        
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.indexBuffer);
+        gl.bufferSubData(gl.ELEMENT_ARRAY_BUFFER, mesh.indexStart * 4, indices);
+    }
+    
+    /**
+     * Double the buffers until the given extra geometry fits, keeping every
+     * mesh at its offsets: copied over on the GPU on WebGL2, uploaded again
+     * on WebGL1
+     */
+    grow(vertices, indices) {
+        const gl = this.gl;
+        const vertexBytes = this.vertexCapacity * VERTEX_BYTES;
+        const indexBytes = this.indexCapacity * 4;
+        
+        while (this.vertexRanges.largestFree() < vertices) {
+            this.vertexRanges.extend(this.vertexCapacity);
+            this.vertexCapacity *= 2;
+        }
+        while (this.indexRanges.largestFree() < indices) {
+            this.indexRanges.extend(this.indexCapacity);
+            this.indexCapacity *= 2;
+        }
+        
+        const oldVertexBuffer = this.vertexBuffer;
+        const oldIndexBuffer = this.indexBuffer;
+        this.deleteVertexArray();
+        this.createBuffers();
+        
+        if (this.engine.isWebGL2) {
+            copyBuffer(gl, oldVertexBuffer, this.vertexBuffer, vertexBytes);
+            copyBuffer(gl, oldIndexBuffer, this.indexBuffer, indexBytes);
+        } else {
+            for (const [mesh, chunk] of this.meshes) {
+                this.writeMesh(mesh, chunk);
+            }
+        }
+        
+        gl.deleteBuffer(oldVertexBuffer);
+        gl.deleteBuffer(oldIndexBuffer);
+    }
+    
+    /**
+     * Get bytes reserved on the GPU
+     */
+    getCapacityBytes() {
+        return this.vertexCapacity * VERTEX_BYTES + this.indexCapacity * 4;
+    }
+    
+    /**
+     * Delete the VAO recording the shared buffers
+     */
+    deleteVertexArray() {
+        if (!this.vao) return;
+        
+        if (this.engine.isWebGL2) {
+            this.gl.deleteVertexArray(this.vao);
+        } else {
+            this.engine.vaoExt.deleteVertexArrayOES(this.vao);
+        }
+        this.vao = null;
+    }
+    
+    /**
+     * Delete the shared buffers and VAO
+     */
+    deleteBuffers() {
+        const gl = this.gl;
+        
+        this.deleteVertexArray();
+        
+        gl.deleteBuffer(this.vertexBuffer);
+        gl.deleteBuffer(this.indexBuffer);
+        this.vertexBuffer = null;
+        this.indexBuffer = null;
+    }
+    
+    /**
+     * Release every mesh and the GPU buffers
+     */
+    destroy() {
+        for (const mesh of this.meshes.keys()) {
+            mesh.batch = null;
+        }
+        this.meshes.clear();
+        this.deleteBuffers();
+    }
+}
+
+/**
+ * Copy the start of one buffer into another on the GPU (WebGL2)
+ */
+function copyBuffer(gl, source, target, bytes) {
+    gl.bindBuffer(gl.COPY_READ_BUFFER, source);
+    gl.bindBuffer(gl.COPY_WRITE_BUFFER, target);
+    gl.copyBufferSubData(gl.COPY_READ_BUFFER, gl.COPY_WRITE_BUFFER, 0, 0, bytes);
+    gl.bindBuffer(gl.COPY_READ_BUFFER, null);
+    gl.bindBuffer(gl.COPY_WRITE_BUFFER, null);
+}
+
+/**
+ * First-fit allocator of ranges within [0, capacity), merging freed neighbors
+ */
+class RangeAllocator {
+    constructor(capacity) {
+        this.capacity = capacity;
+        this.freeRanges = [{ start: 0, size: capacity }]; // sorted by start
+    }
+    
+    /**
+     * @returns {number} start of the range, or -1 if nothing fits
+     */
+    allocate(size) {
+        for (let i = 0; i < this.freeRanges.length; i++) {
+            const range = this.freeRanges[i];
+            if (range.size < size) continue;
+            
+            const start = range.start;
+            range.start += size;
+            range.size -= size;
+            if (range.size === 0) {
+                this.freeRanges.splice(i, 1);
+            }
+            return start;
+        }
+        
+        return -1;
+    }
+    
+    free(start, size) {
+        const ranges = this.freeRanges;
+        let i = 0;
+        while (i < ranges.length && ranges[i].start < start) i++;
+        
+        ranges.splice(i, 0, { start, size });
+        
+        // Merge with the following, then the preceding range
+        if (i + 1 < ranges.length && start + size === ranges[i + 1].start) {
+            ranges[i].size += ranges[i + 1].size;
+            ranges.splice(i + 1, 1);
+        }
+        if (i > 0 && ranges[i - 1].start + ranges[i - 1].size === start) {
+            ranges[i - 1].size += ranges[i].size;
+            ranges.splice(i, 1);
+        }
+    }
+    
+    /**
+     * Add free space at the end
+     */
+    extend(size) {
+        this.free(this.capacity, size);
+        this.capacity += size;
+    }
+    
+    largestFree() {
+        let largest = 0;
+        for (const range of this.freeRanges) {
+            largest = Math.max(largest, range.size);
+        }
+        return largest;
+    }
+}
\ No newline at end of file
@@ -4,12 +4,25 @@
  * Version: 0.0.1
  */
 
+import { TextureAtlas } from '../world/TextureAtlas.js';
+import { AtlasGenerator } from './AtlasGenerator.js';
+import { GPUResourceManager } from './GPUResourceManager.js';
+import { SkyRenderer } from './SkyRenderer.js';
+import { ShadowRenderer } from './ShadowRenderer.js';
+import { PostProcessor } from './PostProcessor.js';
+import { ShaderManager } from './ShaderManager.js';
+import { OcclusionCuller } from '../optimization/OcclusionCuller.js';
+import { InstancedRenderer } from '../optimization/InstancedRenderer.js';
+
 export class Engine {
     constructor(gl, config, isWebGL2) {
         this.gl = gl;
         this.config = config;
         this.isWebGL2 = isWebGL2;
         
+        // Programs by role, compiled by the shader manager from shaders/
+        this.shaderManager = new ShaderManager(gl, { isWebGL2, devMode: !!config.DEV_MODE });
+        
         // Rendering state
         this.shaders = {};
         this.textures = {};
@@ -17,6 +30,16 @@ export class Engine {
         this.vaos = {};
         this.fbos = {};
         
+        // Atlas layout; the block shader looks packed tile IDs up in it
+        this.atlasLayout = new TextureAtlas(
+            config.TEXTURE_ATLAS_SIZE || 256,
+            config.BLOCK_TEXTURE_SIZE || 16,
+            config.TEXTURE_ATLAS_PADDING || 0
+        );
+        
+        // uAtlasLayout (see TextureAtlas.getLayoutUniform)
+        this.atlasLayoutUniform = this.atlasLayout.getLayoutUniform();
+        
         // Matrices
         this.projectionMatrix = new Float32Array(16);
         this.viewMatrix = new Float32Array(16);
@@ -28,9 +51,48 @@ export class Engine {
             drawCalls: 0,
             vertices: 0,
             chunks: 0,
-            triangles: 0
+            culled: 0,
+            occluded: 0,
+            instances: 0,
+            triangles: 0,
+            shadowDrawCalls: 0
         };
         
+        // Draws repeated meshes instanced (see InstancedRenderer)
+        this.instancedRenderer = null;
+        
+        // Sky dome with sun, moon and stars (see SkyRenderer)
+        this.skyRenderer = null;
+        
+        // Sun shadow map while ENABLE_SHADOWS is on and depth textures are
+        // available (see ShadowRenderer, updateShadows)
+        this.shadowRenderer = null;
+        this.supportsShadows = false;
+        
+        // Full-screen passes after the scene while ENABLE_POST_PROCESSING is
+        // on (see PostProcessor, setupRenderTargets); its targets live in fbos
+        this.postProcessor = null;
+        
+        // Render targets can hold colors above 1 (half float), for bloom
+        this.supportsHDRTargets = false;
+        
+        // Hides chunks behind terrain (see OcclusionCuller); null when disabled
+        this.occlusionCuller = null;
+        
+        // Chunk mesh buffers and VAOs (created in init)
+        this.gpuResources = null;
+        
+        // Environment colors; fog and the cleared background switch to the
+        // underwater set while the camera is inside a liquid. Sky and lighting
+        // follow the world's DayNightCycle (see applyDayNight).
+        this.skyColor = [0.53, 0.81, 0.92];
+        this.lightDirection = [0.3, -1.0, 0.5];
+        this.lightColor = [1.0, 1.0, 1.0];
+        this.ambientLight = [0.4, 0.4, 0.4];
+        this.underwaterFogColor = [0.12, 0.3, 0.5];
+        this.underwaterTint = [0.55, 0.75, 1.0];
+        this.underwater = false;
+        
         // Extensions for WebGL1
         this.extensions = {};
         
@@ -41,14 +103,28 @@ export class Engine {
         // VAO support
         this.supportsVAO = false;
         this.vaoExt = null;
+        
+        // Draws many batched chunks per call (WEBGL_multi_draw)
+        this.multiDrawExt = null;
+        
+        // Per-run draw lists for renderBatched, grown on demand
+        this.batchCounts = new Int32Array(256);
+        this.batchOffsets = new Int32Array(256);
+        this.batchVertexCounts = new Int32Array(256); // for stats
+        
+        // Canvas viewport, restored after off-screen passes
+        this.viewportWidth = gl.canvas.width;
+        this.viewportHeight = gl.canvas.height;
+        
+        // Set from webglcontextlost until restoreContext; nothing may be
+        // drawn meanwhile (see handleContextLost)
+        this.contextLost = false;
     }
     
     /**
      * Initialize the rendering engine
      */
     async init() {
-        const gl = this.gl;
-        
         // Setup WebGL state
         this.setupWebGLState();
         
@@ -58,11 +134,13 @@ export class Engine {
         // Create shaders
         await this.createShaders();
         
-        // Create textures
-        await this.createTextures();
+        // Chunk mesh uploads; needs the block shader for VAO attribute setup
+        this.gpuResources = new GPUResourceManager(this, {
+            uploadBudget: this.config.GPU_UPLOAD_BUDGET,
+            batching: this.config.BATCH_CHUNKS
+        });
         
-        // Setup render targets
-        this.setupRenderTargets();
+        await this.createResources();
         
         // Initialize matrix library
         this.initMatrices();
@@ -70,6 +148,38 @@ export class Engine {
         console.log('Engine initialized successfully');
     }
     
+    /**
+     * Create the renderers, textures and render targets: everything on the
+     * GPU besides shaders and chunk meshes
+     */
+    async createResources() {
+        if (this.shaders.sky) {
+            this.skyRenderer = new SkyRenderer(this, this.shaders.sky);
+        }
+        
+        // Repeated meshes (items, tufts, particles, mobs), drawn instanced
+        if (this.shaders.instanced) {
+            this.instancedRenderer = new InstancedRenderer(this, this.shaders.instanced);
+        }
+        
+        this.updateShadows();
+        
+        // Occlusion culling: hardware queries on WebGL2, flood fill on WebGL1
+        if (this.config.OCCLUSION_CULLING !== false) {
+            this.occlusionCuller = new OcclusionCuller(
+                this.gl,
+                this.shaders.occlusion || null,
+                this.config.CHUNK_SIZE || 16
+            );
+        }
+        
+        // Create textures
+        await this.createTextures();
+        
+        // Setup render targets
+        this.setupRenderTargets();
+    }
+    
     /**
      * Setup initial WebGL state
      */
@@ -85,12 +195,12 @@ export class Engine {
         gl.cullFace(gl.BACK);
         gl.frontFace(gl.CCW);
         
-        // Enable blending for transparency
-        gl.enable(gl.BLEND);
+        // Blending is only enabled for the translucent pass in renderWorld
+        gl.disable(gl.BLEND);
         gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
         
         // Set clear color
-        gl.clearColor(0.53, 0.81, 0.92, 1.0); // Sky blue
+        gl.clearColor(this.skyColor[0], this.skyColor[1], this.skyColor[2], 1.0);
         
         // Set viewport
         gl.viewport(0, 0, gl.canvas.width, gl.canvas.height);
@@ -140,213 +250,180 @@ export class Engine {
             this.extensions.depthTexture = gl.getExtension('WEBGL_depth_texture');
             this.extensions.drawBuffers = gl.getExtension('WEBGL_draw_buffers');
             this.extensions.standardDerivatives = gl.getExtension('OES_standard_derivatives');
+            this.extensions.shaderTextureLod = gl.getExtension('EXT_shader_texture_lod');
             this.extensions.elementIndexUint = gl.getExtension('OES_element_index_uint');
             this.extensions.textureFloat = gl.getExtension('OES_texture_float');
             this.extensions.textureFloatLinear = gl.getExtension('OES_texture_float_linear');
+            this.extensions.textureHalfFloat = gl.getExtension('OES_texture_half_float');
+            this.extensions.textureHalfFloatLinear = gl.getExtension('OES_texture_half_float_linear');
+            this.extensions.colorBufferHalfFloat = gl.getExtension('EXT_color_buffer_half_float');
         }
         
         console.log('Instancing support:', this.supportsInstancing);
+        // Available on both WebGL versions
+        this.multiDrawExt = gl.getExtension('WEBGL_multi_draw');
+        
+        // Shadow maps render into a depth texture
+        this.supportsShadows = this.isWebGL2 || !!this.extensions.depthTexture;
+        
+        // Filterable half float color targets
+        if (this.isWebGL2) {
+            this.extensions.colorBufferFloat = gl.getExtension('EXT_color_buffer_float');
+            this.supportsHDRTargets = !!this.extensions.colorBufferFloat;
+        } else {
+            this.supportsHDRTargets = !!(this.extensions.textureHalfFloat && this.extensions.textureHalfFloatLinear);
+        }
+        
         console.log('VAO support:', this.supportsVAO);
+        console.log('Multi-draw support:', !!this.multiDrawExt);
+        console.log('Shadow support:', this.supportsShadows);
+        console.log('HDR target support:', this.supportsHDRTargets);
     }
     
     /**
-     * Create shaders
+     * Register the shader programs (sources in shaders/), fetch them and
+     * compile the variants for this device. The block shader is required;
+     * the others turn their feature off if they fail.
      */
     async createShaders() {
-        // Create main block shader with instancing support
-        const vertexShaderSource = this.getVertexShaderSource();
-        const fragmentShaderSource = this.getFragmentShaderSource();
+        const manager = this.shaderManager;
         
-        this.shaders.block = this.createShaderProgram(vertexShaderSource, fragmentShaderSource);
+        // Chunk VAOs and batches are set up once at these locations, so any
+        // program drawing chunks (block variants, shadow) binds the same
+        const chunkAttributes = { aPosition: 0, aData: 1 };
         
-        // Get uniform locations
-        const shader = this.shaders.block;
-        shader.uniforms = {
-            uProjectionMatrix: this.gl.getUniformLocation(shader.program, 'uProjectionMatrix'),
-            uViewMatrix: this.gl.getUniformLocation(shader.program, 'uViewMatrix'),
-            uModelMatrix: this.gl.getUniformLocation(shader.program, 'uModelMatrix'),
-            uTexture: this.gl.getUniformLocation(shader.program, 'uTexture'),
-            uFogColor: this.gl.getUniformLocation(shader.program, 'uFogColor'),
-            uFogNear: this.gl.getUniformLocation(shader.program, 'uFogNear'),
-            uFogFar: this.gl.getUniformLocation(shader.program, 'uFogFar'),
-            uTime: this.gl.getUniformLocation(shader.program, 'uTime'),
-            uLightDirection: this.gl.getUniformLocation(shader.program, 'uLightDirection'),
-            uAmbientLight: this.gl.getUniformLocation(shader.program, 'uAmbientLight')
-        };
+        manager.register('block', { attributeLocations: chunkAttributes });
+        manager.register('shadow', { attributeLocations: chunkAttributes });
+        manager.register('instanced', {
+            attributeLocations: { aPosition: 0, aNormal: 1, aInstanceTransform: 2, aInstanceColor: 3 }
+        });
+        manager.register('sky', { attributeLocations: { aPosition: 0 } });
+        manager.register('occlusion', { attributeLocations: { aPosition: 0 } });
+        manager.register('post', { attributeLocations: { aPosition: 0 } });
         
-        // Get attribute locations
-        shader.attributes = {
-            aPosition: this.gl.getAttribLocation(shader.program, 'aPosition'),
-            aTexCoord: this.gl.getAttribLocation(shader.program, 'aTexCoord'),
-            aNormal: this.gl.getAttribLocation(shader.program, 'aNormal'),
-            aColor: this.gl.getAttribLocation(shader.program, 'aColor')
-        };
+        await manager.load();
         
-        if (this.supportsInstancing) {
-            shader.attributes.aInstanceMatrix = this.gl.getAttribLocation(shader.program, 'aInstanceMatrix');
-        }
+        this.compileShaders();
     }
     
     /**
-     * Get vertex shader source
+     * Compile the variants for this device from the loaded sources
      */
-    getVertexShaderSource() {
-        const precision = this.isWebGL2 ? '#version 300 es\n' : '';
-        const attributeKeyword = this.isWebGL2 ? 'in' : 'attribute';
-        const varyingKeyword = this.isWebGL2 ? 'out' : 'varying';
+    compileShaders() {
+        // Nothing compiles on a lost context; restoreContext comes back here
+        if (this.contextLost) return;
         
-        return `${precision}
-        precision highp float;
-        
-        ${attributeKeyword} vec3 aPosition;
-        ${attributeKeyword} vec2 aTexCoord;
-        ${attributeKeyword} vec3 aNormal;
-        ${attributeKeyword} vec4 aColor;
+        // Chunk depth from the sun
+        if (this.supportsShadows) {
+            this.shaders.shadow = this.createOptionalShader('shadow');
+        }
         
-        ${this.supportsInstancing ? `${attributeKeyword} mat4 aInstanceMatrix;` : ''}
+        // Main block shader, in the variant matching the shadow setting
+        this.shaders.block = this.getBlockShader();
         
-        uniform mat4 uProjectionMatrix;
-        uniform mat4 uViewMatrix;
-        uniform mat4 uModelMatrix;
+        // Instanced meshes; per-instance data comes from attributes advancing
+        // once per instance, or from uniforms without instancing (see
+        // InstancedRenderer)
+        this.shaders.instanced = this.createOptionalShader('instanced');
         
-        ${varyingKeyword} vec2 vTexCoord;
-        ${varyingKeyword} vec3 vNormal;
-        ${varyingKeyword} vec4 vColor;
-        ${varyingKeyword} float vFogDepth;
-        ${varyingKeyword} vec3 vWorldPos;
+        // Sky dome, drawn as a screen-filling triangle
+        this.shaders.sky = this.createOptionalShader('sky');
         
-        void main() {
-            mat4 modelMatrix = ${this.supportsInstancing ? 'aInstanceMatrix' : 'uModelMatrix'};
-            mat4 mvMatrix = uViewMatrix * modelMatrix;
-            vec4 worldPos = modelMatrix * vec4(aPosition, 1.0);
-            
-            gl_Position = uProjectionMatrix * mvMatrix * vec4(aPosition, 1.0);
-            
-            vTexCoord = aTexCoord;
-            vNormal = mat3(modelMatrix) * aNormal;
-            vColor = aColor;
-            vWorldPos = worldPos.xyz;
-            
-            // Calculate fog depth
-            vec4 viewPos = mvMatrix * vec4(aPosition, 1.0);
-            vFogDepth = -viewPos.z;
-        }`;
+        // Chunk bounds for occlusion queries (WebGL2 only)
+        if (this.isWebGL2 && this.config.OCCLUSION_CULLING !== false) {
+            this.shaders.occlusion = this.createOptionalShader('occlusion');
+        }
     }
     
     /**
-     * Get fragment shader source
+     * Get the block shader variant for the current config. The shadowed
+     * variant needs high fragment precision, which some WebGL1 devices lack;
+     * when it fails to build, shadows are turned off and the plain variant
+     * is used instead.
+     * @throws {ShaderCompileError} if the plain variant fails too
      */
-    getFragmentShaderSource() {
-        const precision = this.isWebGL2 ? '#version 300 es\n' : '';
-        const varyingKeyword = this.isWebGL2 ? 'in' : 'varying';
-        const fragColor = this.isWebGL2 ? 'out vec4 fragColor;' : '';
-        const outputColor = this.isWebGL2 ? 'fragColor' : 'gl_FragColor';
-        
-        return `${precision}
-        precision mediump float;
-        
-        ${varyingKeyword} vec2 vTexCoord;
-        ${varyingKeyword} vec3 vNormal;
-        ${varyingKeyword} vec4 vColor;
-        ${varyingKeyword} float vFogDepth;
-        ${varyingKeyword} vec3 vWorldPos;
-        
-        uniform sampler2D uTexture;
-        uniform vec3 uFogColor;
-        uniform float uFogNear;
-        uniform float uFogFar;
-        uniform float uTime;
-        uniform vec3 uLightDirection;
-        uniform vec3 uAmbientLight;
-        
-        ${fragColor}
-        
-        void main() {
-            // Sample texture
-            vec4 texColor = texture2D(uTexture, vTexCoord);
-            
-            // Discard transparent pixels
-            if (texColor.a < 0.1) discard;
+    getBlockShader() {
+        try {
+            return this.shaderManager.get('block', this.getShaderDefines());
+        } catch (error) {
+            if (!this.getShaderDefines().SHADOWS) throw error;
             
-            // Apply vertex color
-            vec4 color = texColor * vColor;
+            console.error(error.message, error.errors || '');
+            console.warn('Shadowed block shader failed to build, shadows disabled');
+            this.shaders.shadow = null;
+            this.updateShadows();
             
-            // Simple directional lighting
-            vec3 normal = normalize(vNormal);
-            float lightIntensity = max(dot(normal, -uLightDirection), 0.0);
-            vec3 diffuse = lightIntensity * vec3(1.0);
-            vec3 ambient = uAmbientLight;
-            
-            // Apply lighting
-            color.rgb *= (ambient + diffuse);
-            
-            // Apply fog
-            float fogFactor = clamp((uFogFar - vFogDepth) / (uFogFar - uFogNear), 0.0, 1.0);
-            color.rgb = mix(uFogColor, color.rgb, fogFactor);
-            
-            ${outputColor} = color;
-        }`;
+            return this.shaderManager.get('block', this.getShaderDefines());
+        }
     }
     
     /**
-     * Create shader program
+     * Compile a program whose feature can be left out: errors are logged
+     * and give null
+     * @param {Object} [defines] - Variant defines on top of the device's
      */
-    createShaderProgram(vertexSource, fragmentSource) {
-        const gl = this.gl;
-        
-        // Create vertex shader
-        const vertexShader = gl.createShader(gl.VERTEX_SHADER);
-        gl.shaderSource(vertexShader, vertexSource);
-        gl.compileShader(vertexShader);
-        
-        if (!gl.getShaderParameter(vertexShader, gl.COMPILE_STATUS)) {
-            console.error('Vertex shader compilation error:', gl.getShaderInfoLog(vertexShader));
-            return null;
-        }
-        
-        // Create fragment shader
-        const fragmentShader = gl.createShader(gl.FRAGMENT_SHADER);
-        gl.shaderSource(fragmentShader, fragmentSource);
-        gl.compileShader(fragmentShader);
-        
-        if (!gl.getShaderParameter(fragmentShader, gl.COMPILE_STATUS)) {
-            console.error('Fragment shader compilation error:', gl.getShaderInfoLog(fragmentShader));
+    createOptionalShader(name, defines = {}) {
+        try {
+            return this.shaderManager.get(name, { ...this.getShaderDefines(), ...defines });
+        } catch (error) {
+            console.error(error.message, error.errors || '');
             return null;
         }
-        
-        // Create program
-        const program = gl.createProgram();
-        gl.attachShader(program, vertexShader);
-        gl.attachShader(program, fragmentShader);
-        gl.linkProgram(program);
-        
-        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
-            console.error('Shader program linking error:', gl.getProgramInfoLog(program));
-            return null;
+    }
+    
+    /**
+     * Feature defines for shader variants on this device and config
+     */
+    getShaderDefines() {
+        return {
+            // Explicit gradients keep mip selection stable where fract() wraps
+            // the atlas tile
+            TEXTURE_GRAD: this.isWebGL2 ||
+                !!(this.extensions.standardDerivatives && this.extensions.shaderTextureLod),
+            INSTANCING: this.supportsInstancing,
+            FOG: this.config.ENABLE_FOG !== false,
+            SHADOWS: !!this.config.ENABLE_SHADOWS && !!this.shaders.shadow
+        };
+    }
+    
+    /**
+     * Recompile a program from its source files, in every variant in use
+     * (dev mode; sources are fetched past the HTTP cache)
+     * @returns {Promise<boolean>} false if it failed to build; the previous
+     *   program stays in use
+     */
+    async reloadShader(name) {
+        try {
+            await this.shaderManager.reload(name);
+            return true;
+        } catch (error) {
+            console.error(error.message, error.errors || '');
+            return false;
         }
-        
-        // Clean up shaders
-        gl.deleteShader(vertexShader);
-        gl.deleteShader(fragmentShader);
-        
-        return { program };
     }
     
     /**
      * Create textures
      */
     async createTextures() {
-        // Create texture atlas
-        this.textures.atlas = await this.loadTexture('assets/textures/atlas.png');
-        
         // Create white texture for fallback
         this.textures.white = this.createWhiteTexture();
+        
+        // Create texture atlas, painting one procedurally if the image is missing
+        this.textures.atlas = await this.loadTexture('assets/textures/atlas.png', null);
+        if (!this.textures.atlas) {
+            console.warn('Using procedural texture atlas');
+            this.textures.atlas = this.createProceduralAtlas();
+        }
+        
+        this.configureAtlasTexture(this.textures.atlas);
     }
     
     /**
      * Load texture from URL
+     * Resolves to `fallback` (white texture by default) if the image fails to load
      */
-    async loadTexture(url) {
+    async loadTexture(url, fallback = this.textures.white) {
         const gl = this.gl;
         
         return new Promise((resolve) => {
@@ -362,33 +439,76 @@ export class Engine {
                 gl.bindTexture(gl.TEXTURE_2D, texture);
                 gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, image);
                 
-                // Generate mipmaps for better quality
-                gl.generateMipmap(gl.TEXTURE_2D);
-                
-                // Set texture parameters
-                gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST_MIPMAP_LINEAR);
-                gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
-                gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.REPEAT);
-                gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.REPEAT);
-                
-                // Apply anisotropic filtering if available
-                if (this.anisoExt) {
-                    gl.texParameterf(gl.TEXTURE_2D, this.anisoExt.TEXTURE_MAX_ANISOTROPY_EXT, 
-                                   Math.min(4, this.maxAnisotropy));
-                }
+                this.setupMipmappedTexture();
                 
                 resolve(texture);
             };
             
             image.onerror = () => {
                 console.warn(`Failed to load texture: ${url}`);
-                resolve(this.textures.white);
+                gl.deleteTexture(texture);
+                resolve(fallback);
             };
             
             image.src = url;
         });
     }
     
+    /**
+     * Generate mipmaps and set sampling parameters for the bound texture
+     */
+    setupMipmappedTexture() {
+        const gl = this.gl;
+        
+        // Generate mipmaps for better quality
+        gl.generateMipmap(gl.TEXTURE_2D);
+        
+        // Set texture parameters
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST_MIPMAP_LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.REPEAT);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.REPEAT);
+        
+        // Apply anisotropic filtering if available
+        if (this.anisoExt) {
+            gl.texParameterf(gl.TEXTURE_2D, this.anisoExt.TEXTURE_MAX_ANISOTROPY_EXT,
+                           Math.min(4, this.maxAnisotropy));
+        }
+    }
+    
+    /**
+     * Paint the block atlas in memory and upload it
+     */
+    createProceduralAtlas() {
+        const gl = this.gl;
+        const size = this.atlasLayout.atlasSize;
+        
+        this.atlasGenerator = new AtlasGenerator(this.atlasLayout);
+        const pixels = this.atlasGenerator.generate();
+        
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, size, size, 0, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+        
+        this.setupMipmappedTexture();
+        
+        return texture;
+    }
+    
+    /**
+     * Limit atlas mipmaps so tiles never bleed into each other
+     */
+    configureAtlasTexture(texture) {
+        const gl = this.gl;
+        
+        // WebGL1 cannot cap the mip chain; the half-texel UV inset and
+        // optional tile padding have to carry it there
+        if (!this.isWebGL2) return;
+        
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAX_LEVEL, this.atlasLayout.getMaxMipLevel());
+    }
+    
     /**
      * Create white texture
      */
@@ -407,13 +527,125 @@ export class Engine {
     }
     
     /**
-     * Setup render targets for post-processing
+     * Create or tear down the post-processing chain (and its render
+     * targets) to match ENABLE_POST_PROCESSING
      */
     setupRenderTargets() {
-        if (!this.config.ENABLE_POST_PROCESSING) return;
+        const enabled = !!this.config.ENABLE_POST_PROCESSING;
+        
+        if (enabled && !this.postProcessor) {
+            this.postProcessor = new PostProcessor(this, {
+                passes: this.config.POST_PROCESSING_PASSES,
+                bloomThreshold: this.config.BLOOM_THRESHOLD,
+                bloomStrength: this.config.BLOOM_STRENGTH,
+                exposure: this.config.EXPOSURE,
+                vignetteStrength: this.config.VIGNETTE_STRENGTH
+            });
+        } else if (!enabled && this.postProcessor) {
+            this.postProcessor.destroy();
+            this.postProcessor = null;
+        }
+    }
+    
+    /**
+     * Create a render target in fbos, replacing any of the same name: a
+     * color texture sampled linearly, with an optional depth buffer
+     * @param {string} name - Key in fbos
+     * @param {Object} options
+     * @param {boolean} [options.depth] - Attach a depth buffer
+     * @param {boolean} [options.hdr] - Half float color where supported,
+     *   else 8 bits per channel
+     * @returns {{framebuffer, texture, depthBuffer, width, height, hdr}}
+     */
+    createRenderTarget(name, width, height, options = {}) {
+        const gl = this.gl;
+        this.deleteRenderTarget(name);
         
-        // Create framebuffer for post-processing
-        // Implementation would go here
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        
+        const framebuffer = gl.createFramebuffer();
+        gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+        
+        let depthBuffer = null;
+        if (options.depth) {
+            depthBuffer = gl.createRenderbuffer();
+            gl.bindRenderbuffer(gl.RENDERBUFFER, depthBuffer);
+            gl.renderbufferStorage(gl.RENDERBUFFER, this.isWebGL2 ? gl.DEPTH_COMPONENT24 : gl.DEPTH_COMPONENT16, width, height);
+            gl.bindRenderbuffer(gl.RENDERBUFFER, null);
+            gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, depthBuffer);
+        }
+        
+        // Not every device renders to half float even with the extensions;
+        // fall back to 8 bits when the framebuffer comes out incomplete
+        let hdr = !!options.hdr && this.supportsHDRTargets;
+        this.allocateTargetColor(texture, width, height, hdr);
+        
+        if (hdr && gl.checkFramebufferStatus(gl.FRAMEBUFFER) !== gl.FRAMEBUFFER_COMPLETE) {
+            hdr = false;
+            this.allocateTargetColor(texture, width, height, hdr);
+        }
+        
+        if (gl.checkFramebufferStatus(gl.FRAMEBUFFER) !== gl.FRAMEBUFFER_COMPLETE) {
+            console.warn(`Render target ${name} incomplete`);
+        }
+        
+        gl.bindTexture(gl.TEXTURE_2D, null);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        
+        const target = { framebuffer, texture, depthBuffer, width, height, hdr };
+        this.fbos[name] = target;
+        return target;
+    }
+    
+    /**
+     * Size a render target's color texture and attach it to the bound
+     * framebuffer
+     */
+    allocateTargetColor(texture, width, height, hdr) {
+        const gl = this.gl;
+        
+        if (hdr && this.isWebGL2) {
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA16F, width, height, 0, gl.RGBA, gl.HALF_FLOAT, null);
+        } else if (hdr) {
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA,
+                this.extensions.textureHalfFloat.HALF_FLOAT_OES, null);
+        } else {
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+        }
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+    }
+    
+    /**
+     * Delete a render target from fbos, if present
+     */
+    deleteRenderTarget(name) {
+        const gl = this.gl;
+        const target = this.fbos[name];
+        if (!target) return;
+        
+        gl.deleteFramebuffer(target.framebuffer);
+        gl.deleteTexture(target.texture);
+        if (target.depthBuffer) {
+            gl.deleteRenderbuffer(target.depthBuffer);
+        }
+        delete this.fbos[name];
+    }
+    
+    /**
+     * Bind what the scene renders into, the post-processing scene target
+     * or the canvas, and its viewport
+     */
+    bindFrameTarget() {
+        const gl = this.gl;
+        const target = this.postProcessor ? this.fbos.scene : null;
+        
+        gl.bindFramebuffer(gl.FRAMEBUFFER, target ? target.framebuffer : null);
+        gl.viewport(0, 0, this.viewportWidth, this.viewportHeight);
     }
     
     /**
@@ -475,40 +707,65 @@ export class Engine {
      */
     clear() {
         const gl = this.gl;
+        
+        this.bindFrameTarget();
+        
+        // Background matches the fog so distant terrain fades into it
+        const background = this.underwater ? this.underwaterFogColor : this.skyColor;
+        gl.clearColor(background[0], background[1], background[2], 1.0);
         gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
         
         // Reset stats
         this.stats.drawCalls = 0;
         this.stats.vertices = 0;
         this.stats.chunks = 0;
+        this.stats.culled = 0;
+        this.stats.occluded = 0;
+        this.stats.instances = 0;
         this.stats.triangles = 0;
+        this.stats.shadowDrawCalls = 0;
     }
     
     /**
      * Render the world
+     * @param {Iterable<Object>|null} instances - Instanced meshes to draw with
+     *   it (see InstancedRenderer), e.g. an ObjectPool's active set
      */
-    renderWorld(world, camera) {
+    renderWorld(world, camera, instances = null) {
         const gl = this.gl;
         
+        // Update view matrix and culling frustum from camera
+        this.updateViewMatrix(camera);
+        camera.updateFrustum(this.projectionMatrix, this.viewMatrix);
+        
+        this.underwater = this.isCameraUnderwater(world, camera);
+        
+        // Sky and lighting from the world clock; underwater, the fog color
+        // cleared into the frame stands in for the sky
+        if (world.dayNight) {
+            this.applyDayNight(world.dayNight);
+        }
+        
+        // Shadow map from the light, before anything is drawn to the frame
+        if (this.shadowRenderer) {
+            this.shadowRenderer.render(world, camera);
+        }
+        
+        if (world.dayNight && this.skyRenderer && !this.underwater) {
+            this.skyRenderer.render(world.dayNight);
+        }
+        
         // Use block shader
         const shader = this.shaders.block;
         gl.useProgram(shader.program);
         
-        // Update view matrix from camera
-        this.updateViewMatrix(camera);
-        
-        // Set uniforms
-        gl.uniformMatrix4fv(shader.uniforms.uProjectionMatrix, false, this.projectionMatrix);
-        gl.uniformMatrix4fv(shader.uniforms.uViewMatrix, false, this.viewMatrix);
+        // Camera, fog, lighting and shadow uniforms
+        this.setSceneUniforms(shader);
+        this.bindShadowMap(shader);
         
-        // Set fog uniforms
-        gl.uniform3f(shader.uniforms.uFogColor, 0.53, 0.81, 0.92);
-        gl.uniform1f(shader.uniforms.uFogNear, this.config.RENDER_DISTANCE * 16 * 0.5);
-        gl.uniform1f(shader.uniforms.uFogFar, this.config.RENDER_DISTANCE * 16);
-        
-        // Set lighting uniforms
-        gl.uniform3f(shader.uniforms.uLightDirection, 0.3, -1.0, 0.5);
-        gl.uniform3f(shader.uniforms.uAmbientLight, 0.4, 0.4, 0.4);
+        // Tile grid for decoding packed tile IDs
+        gl.uniform4fv(shader.uniforms.uAtlasLayout, this.atlasLayoutUniform);
+        gl.uniform1f(shader.uniforms.uChunkSize, this.config.CHUNK_SIZE || 16);
         
         // Set time uniform for animations
         gl.uniform1f(shader.uniforms.uTime, performance.now() / 1000);
@@ -518,34 +775,305 @@ export class Engine {
         gl.bindTexture(gl.TEXTURE_2D, this.textures.atlas || this.textures.white);
         gl.uniform1i(shader.uniforms.uTexture, 0);
         
-        // Render chunks
-        const visibleChunks = world.getVisibleChunks(camera);
+        // Render chunks (sorted near to far)
+        const frustumChunks = world.getVisibleChunks(camera);
+        this.stats.culled = world.culledChunks;
         
-        for (const chunk of visibleChunks) {
-            if (chunk.mesh && chunk.mesh.vertexCount > 0) {
-                this.renderChunk(chunk, shader);
-            }
+        let visibleChunks = frustumChunks;
+        if (this.occlusionCuller) {
+            visibleChunks = this.occlusionCuller.cull(world, frustumChunks, camera);
+            this.stats.occluded = this.occlusionCuller.occludedChunks;
+        }
+        
+        // Upload new meshes (nearest first); chunks whose mesh is still
+        // waiting for upload budget are skipped this frame
+        this.gpuResources.update(visibleChunks);
+        
+        // Opaque pass, front to back so early depth testing rejects hidden pixels
+        this.renderChunkMeshes(visibleChunks, 'mesh', shader);
+        
+        // Test every frustum chunk, drawn or not, against the opaque depth;
+        // the results decide what is drawn next frame
+        if (this.occlusionCuller && this.occlusionCuller.useQueries) {
+            this.occlusionCuller.issueQueries(frustumChunks, camera);
+            gl.useProgram(shader.program);
+        }
+        
+        // Instanced meshes after the queries, so small entities never hide chunks
+        if (instances && this.instancedRenderer) {
+            this.instancedRenderer.render(instances);
+            this.stats.instances = this.instancedRenderer.drawnInstances;
+            gl.useProgram(shader.program);
+        }
+        
+        // Translucent pass, back to front, blended over the opaque scene without
+        // writing depth; both sides drawn so the water surface shows from below
+        gl.enable(gl.BLEND);
+        gl.depthMask(false);
+        gl.disable(gl.CULL_FACE);
+        
+        const translucentChunks = visibleChunks.filter(
+            chunk => chunk.translucentMesh && this.gpuResources.isResident(chunk.translucentMesh)
+        );
+        if (!this.gpuResources.batching) {
+            // One draw call per mesh; the nearest get what's left of the budget
+            const drawCallsLeft = Math.max(0, this.getMaxDrawCalls() - this.stats.drawCalls);
+            translucentChunks.length = Math.min(translucentChunks.length, drawCallsLeft);
+        }
+        this.renderChunkMeshes(translucentChunks.reverse(), 'translucentMesh', shader);
+        
+        gl.enable(gl.CULL_FACE);
+        gl.depthMask(true);
+        gl.disable(gl.BLEND);
+        
+        // Scene target through the full-screen passes onto the canvas
+        if (this.postProcessor) {
+            this.postProcessor.render();
         }
         
         return this.stats;
     }
     
     /**
-     * Render a single chunk
+     * Set the camera, fog and lighting uniforms shared by the world shaders
+     * on the bound program; underwater fog is dense and close
+     */
+    setSceneUniforms(shader) {
+        const gl = this.gl;
+        const uniforms = shader.uniforms;
+        
+        gl.uniformMatrix4fv(uniforms.uProjectionMatrix, false, this.projectionMatrix);
+        gl.uniformMatrix4fv(uniforms.uViewMatrix, false, this.viewMatrix);
+        
+        if (this.underwater) {
+            gl.uniform3fv(uniforms.uFogColor, this.underwaterFogColor);
+            gl.uniform1f(uniforms.uFogNear, 0);
+            gl.uniform1f(uniforms.uFogFar, 24);
+            gl.uniform3fv(uniforms.uTint, this.underwaterTint);
+        } else {
+            gl.uniform3fv(uniforms.uFogColor, this.skyColor);
+            gl.uniform1f(uniforms.uFogNear, this.config.RENDER_DISTANCE * 16 * 0.5);
+            gl.uniform1f(uniforms.uFogFar, this.config.RENDER_DISTANCE * 16);
+            gl.uniform3f(uniforms.uTint, 1.0, 1.0, 1.0);
+        }
+        
+        gl.uniform3fv(uniforms.uLightDirection, this.lightDirection);
+        gl.uniform3fv(uniforms.uLightColor, this.lightColor);
+        gl.uniform3fv(uniforms.uAmbientLight, this.ambientLight);
+    }
+    
+    /**
+     * Bind the shadow map to texture unit 1 for the block shader; without
+     * shadows the block shader is compiled without its lookups
+     */
+    bindShadowMap(shader) {
+        if (this.shadowRenderer) {
+            this.shadowRenderer.bind(shader, 1);
+        }
+    }
+    
+    /**
+     * Create or tear down the shadow pass to match ENABLE_SHADOWS
+     */
+    updateShadows() {
+        const enabled = !!this.config.ENABLE_SHADOWS && !!this.shaders.shadow;
+        
+        if (enabled && !this.shadowRenderer) {
+            this.shadowRenderer = new ShadowRenderer(this, this.shaders.shadow, {
+                size: this.config.SHADOW_MAP_SIZE,
+                distance: this.config.SHADOW_DISTANCE
+            });
+        } else if (!enabled && this.shadowRenderer) {
+            this.shadowRenderer.destroy();
+            this.shadowRenderer = null;
+        }
+    }
+    
+    /**
+     * Switch the world shaders to the variants for the current config (fog,
+     * shadows); a variant that fails to build leaves the current one
+     */
+    updateShaderVariants() {
+        try {
+            this.shaders.block = this.getBlockShader();
+            
+            // After the block shader, which may have turned shadows off
+            if (this.instancedRenderer) {
+                this.shaders.instanced = this.shaderManager.get('instanced', this.getShaderDefines());
+                this.instancedRenderer.shader = this.shaders.instanced;
+            }
+        } catch (error) {
+            console.error(error.message, error.errors || '');
+        }
+    }
+    
+    /**
+     * Take sky color (also the fog and clear color) and lighting from the
+     * world clock
+     * @param {DayNightCycle} sky
+     */
+    applyDayNight(sky) {
+        for (let i = 0; i < 3; i++) {
+            this.skyColor[i] = sky.horizonColor[i];
+            this.lightDirection[i] = sky.lightDirection[i];
+            this.lightColor[i] = sky.lightColor[i];
+            this.ambientLight[i] = sky.ambientLight[i];
+        }
+    }
+    
+    /**
+     * Draw one mesh of each chunk, in order, stopping at MAX_DRAW_CALLS
+     * @param {string} meshKey - 'mesh' or 'translucentMesh'
+     * @param {number} [maxDrawCalls] - Limit on stats.drawCalls, for passes
+     *   with their own budget
+     */
+    renderChunkMeshes(chunks, meshKey, shader, maxDrawCalls = this.getMaxDrawCalls()) {
+        if (this.gpuResources.batching) {
+            this.renderBatched(chunks, meshKey, shader, maxDrawCalls);
+            return;
+        }
+        
+        for (const chunk of chunks) {
+            const mesh = chunk[meshKey];
+            if (!mesh || !mesh.vertexBuffer) continue;
+            if (this.stats.drawCalls >= maxDrawCalls) break;
+            
+            this.renderChunk(chunk, mesh, shader);
+        }
+    }
+    
+    /**
+     * Draw chunk meshes from their region batches; each run of consecutive
+     * chunks in the same region is one draw, so the given order is kept
+     */
+    renderBatched(chunks, meshKey, shader, maxDrawCalls) {
+        let batch = null;
+        let count = 0;
+        let drawn = 0;
+        
+        for (const chunk of chunks) {
+            const mesh = chunk[meshKey];
+            if (!mesh || !mesh.batch) continue;
+            
+            if (mesh.batch !== batch) {
+                drawn += this.drawBatchRun(batch, count, shader, maxDrawCalls);
+                batch = mesh.batch;
+                count = 0;
+            }
+            
+            if (count === this.batchCounts.length) {
+                this.growBatchLists();
+            }
+            
+            this.batchCounts[count] = mesh.indexCount;
+            this.batchOffsets[count] = mesh.indexStart * 4;
+            this.batchVertexCounts[count] = mesh.vertexCount;
+            count++;
+        }
+        
+        drawn += this.drawBatchRun(batch, count, shader, maxDrawCalls);
+        
+        if (meshKey === 'mesh') {
+            this.stats.chunks += drawn;
+        }
+    }
+    
+    /**
+     * Draw the first `count` entries of the batch draw lists from one batch,
+     * adding the vertices and triangles drawn to the stats
+     * @returns {number} entries drawn; fewer than `count` once the draw
+     *   call limit is reached
+     */
+    drawBatchRun(batch, count, shader, maxDrawCalls) {
+        if (!batch || count === 0) return 0;
+        
+        const gl = this.gl;
+        const chunkSize = this.config.CHUNK_SIZE || 16;
+        
+        if (this.stats.drawCalls >= maxDrawCalls) return 0;
+        
+        if (batch.vao) {
+            this.gpuResources.bindVertexArray(batch.vao);
+        } else {
+            this.bindChunkBuffers(batch, shader);
+        }
+        
+        // Vertices carry their chunk's offset in the region (see ChunkBatch)
+        this.setTranslationMatrix(this.modelMatrix,
+                                 batch.originX * chunkSize, 0, batch.originZ * chunkSize);
+        gl.uniformMatrix4fv(shader.uniforms.uModelMatrix, false, this.modelMatrix);
+        
+        let drawn = count;
+        if (this.multiDrawExt) {
+            this.multiDrawExt.multiDrawElementsWEBGL(
+                gl.TRIANGLES, this.batchCounts, 0, gl.UNSIGNED_INT, this.batchOffsets, 0, count);
+            this.stats.drawCalls++;
+        } else {
+            for (drawn = 0; drawn < count && this.stats.drawCalls < maxDrawCalls; drawn++) {
+                gl.drawElements(gl.TRIANGLES, this.batchCounts[drawn], gl.UNSIGNED_INT, this.batchOffsets[drawn]);
+                this.stats.drawCalls++;
+            }
+        }
+        
+        if (batch.vao) {
+            this.gpuResources.bindVertexArray(null);
+        }
+        
+        for (let i = 0; i < drawn; i++) {
+            this.stats.vertices += this.batchVertexCounts[i];
+            this.stats.triangles += this.batchCounts[i] / 3;
+        }
+        
+        return drawn;
+    }
+    
+    /**
+     * Double the batch draw lists
      */
-    renderChunk(chunk, shader) {
+    growBatchLists() {
+        const counts = new Int32Array(this.batchCounts.length * 2);
+        const offsets = new Int32Array(this.batchOffsets.length * 2);
+        const vertexCounts = new Int32Array(this.batchVertexCounts.length * 2);
+        counts.set(this.batchCounts);
+        offsets.set(this.batchOffsets);
+        vertexCounts.set(this.batchVertexCounts);
+        this.batchCounts = counts;
+        this.batchOffsets = offsets;
+        this.batchVertexCounts = vertexCounts;
+    }
+    
+    /**
+     * Draw call limit from the quality settings
+     */
+    getMaxDrawCalls() {
+        return this.config.MAX_DRAW_CALLS || Infinity;
+    }
+    
+    /**
+     * Check if the camera is inside a liquid block
+     */
+    isCameraUnderwater(world, camera) {
+        const { x, y, z } = camera.position;
+        const block = world.getBlock(Math.floor(x), Math.floor(y), Math.floor(z));
+        return !!(block && block.liquid);
+    }
+    
+    /**
+     * Render one of a chunk's meshes
+     */
+    renderChunk(chunk, mesh, shader) {
         const gl = this.gl;
         
-        // Bind chunk VAO if available
-        if (this.supportsVAO && chunk.vao) {
+        // Bind mesh VAO if available; split meshes bind per sub-draw
+        if (this.supportsVAO && mesh.vao) {
             if (this.isWebGL2) {
-                gl.bindVertexArray(chunk.vao);
+                gl.bindVertexArray(mesh.vao);
             } else {
-                this.vaoExt.bindVertexArrayOES(chunk.vao);
+                this.vaoExt.bindVertexArrayOES(mesh.vao);
             }
-        } else {
+        } else if (!mesh.subDraws) {
             // Bind buffers manually
-            this.bindChunkBuffers(chunk, shader);
+            this.bindChunkBuffers(mesh, shader);
         }
         
         // Set model matrix for chunk position
@@ -556,18 +1084,28 @@ export class Engine {
         
         gl.uniformMatrix4fv(shader.uniforms.uModelMatrix, false, this.modelMatrix);
         
-        // Draw
-        if (chunk.mesh.indexBuffer) {
-            gl.drawElements(gl.TRIANGLES, chunk.mesh.indexCount, gl.UNSIGNED_SHORT, 0);
+        // Draw with the index format GPUResourceManager chose for the mesh
+        if (mesh.subDraws) {
+            for (const draw of mesh.subDraws) {
+                this.bindChunkBuffers(mesh, shader, draw.vertexStart);
+                gl.drawElements(gl.TRIANGLES, draw.indexCount, gl.UNSIGNED_SHORT, draw.indexStart * 2);
+                this.stats.drawCalls++;
+            }
+        } else if (mesh.indexBuffer) {
+            const indexType = mesh.indexType === 'uint32' ? gl.UNSIGNED_INT : gl.UNSIGNED_SHORT;
+            gl.drawElements(gl.TRIANGLES, mesh.indexCount, indexType, 0);
+            this.stats.drawCalls++;
         } else {
-            gl.drawArrays(gl.TRIANGLES, 0, chunk.mesh.vertexCount);
+            gl.drawArrays(gl.TRIANGLES, 0, mesh.vertexCount);
+            this.stats.drawCalls++;
         }
         
         // Update stats
-        this.stats.drawCalls++;
-        this.stats.vertices += chunk.mesh.vertexCount;
-        this.stats.triangles += chunk.mesh.vertexCount / 3;
-        this.stats.chunks++;
+        this.stats.vertices += mesh.vertexCount;
+        this.stats.triangles += mesh.indexCount / 3;
+        if (mesh === chunk.mesh) {
+            this.stats.chunks++;
+        }
         
         // Unbind VAO
         if (this.supportsVAO) {
@@ -580,42 +1118,27 @@ export class Engine {
     }
     
     /**
-     * Bind chunk buffers manually
+     * Bind chunk mesh buffers manually
+     * @param {number} [vertexStart] - First vertex the attributes read from
      */
-    bindChunkBuffers(chunk, shader) {
+    bindChunkBuffers(mesh, shader, vertexStart = 0) {
         const gl = this.gl;
-        const mesh = chunk.mesh;
         
         // Bind vertex buffer
         gl.bindBuffer(gl.ARRAY_BUFFER, mesh.vertexBuffer);
         
-        // Setup attributes
+        // Setup attributes (packed bytes, layout documented in Chunk.js)
         const stride = mesh.stride || 0;
-        let offset = 0;
+        const offset = vertexStart * stride;
         
-        // Position
+        // Position + face
         gl.enableVertexAttribArray(shader.attributes.aPosition);
-        gl.vertexAttribPointer(shader.attributes.aPosition, 3, gl.FLOAT, false, stride, offset);
-        offset += 12;
-        
-        // Texture coordinates
-        if (shader.attributes.aTexCoord >= 0) {
-            gl.enableVertexAttribArray(shader.attributes.aTexCoord);
-            gl.vertexAttribPointer(shader.attributes.aTexCoord, 2, gl.FLOAT, false, stride, offset);
-            offset += 8;
-        }
-        
-        // Normal
-        if (shader.attributes.aNormal >= 0) {
-            gl.enableVertexAttribArray(shader.attributes.aNormal);
-            gl.vertexAttribPointer(shader.attributes.aNormal, 3, gl.FLOAT, false, stride, offset);
-            offset += 12;
-        }
+        gl.vertexAttribPointer(shader.attributes.aPosition, 4, gl.UNSIGNED_BYTE, false, stride, offset);
         
-        // Color
-        if (shader.attributes.aColor >= 0) {
-            gl.enableVertexAttribArray(shader.attributes.aColor);
-            gl.vertexAttribPointer(shader.attributes.aColor, 4, gl.FLOAT, false, stride, offset);
+        // Tile, light, ambient occlusion
+        if (shader.attributes.aData >= 0) {
+            gl.enableVertexAttribArray(shader.attributes.aData);
+            gl.vertexAttribPointer(shader.attributes.aData, 4, gl.UNSIGNED_BYTE, false, stride, offset + 4);
         }
         
         // Bind index buffer if available
@@ -682,8 +1205,14 @@ export class Engine {
      * Handle window resize
      */
     handleResize(width, height) {
+        this.viewportWidth = width;
+        this.viewportHeight = height;
         this.gl.viewport(0, 0, width, height);
         this.updateProjectionMatrix(this.config.FOV, width / height, 0.1, 1000.0);
+        
+        if (this.postProcessor) {
+            this.postProcessor.resize(width, height);
+        }
     }
     
     /**
@@ -696,27 +1225,99 @@ export class Engine {
         this.updateProjectionMatrix(this.config.FOV,
                                    this.gl.canvas.width / this.gl.canvas.height,
                                    0.1, 1000.0);
+        
+        // Applied when the context comes back (see restoreContext)
+        if (this.contextLost) return;
+        
+        this.updateShadows();
+        this.updateShaderVariants();
+        this.setupRenderTargets();
     }
     
     /**
-     * Destroy engine and cleanup resources
+     * Forget every GL object after the context was lost. Calls on a lost
+     * context do nothing, so releasing through the usual paths only drops
+     * the references; chunk meshes keep their vertices and indices and are
+     * uploaded again after restoreContext.
      */
-    destroy() {
+    handleContextLost() {
+        this.contextLost = true;
+        this.releaseResources();
+    }
+    
+    /**
+     * Rebuild everything on the GPU once the context is restored: state,
+     * extensions, shaders (from the sources already fetched), textures and
+     * the atlas, renderers and render targets. Chunks upload their meshes
+     * again through the GPU resource manager, nearest first, as they are
+     * drawn.
+     */
+    async restoreContext() {
+        // Anything a restore cut short by another loss created, or an init
+        // that ran on the lost context
+        this.releaseResources();
+        this.contextLost = false;
+        
+        this.setupWebGLState();
+        this.loadExtensions();
+        this.compileShaders();
+        await this.createResources();
+        
+        console.log('Engine restored after context loss');
+    }
+    
+    /**
+     * Delete every GL object the engine and its renderers own; the GPU
+     * resource manager is emptied but kept for reuse
+     */
+    releaseResources() {
         const gl = this.gl;
         
-        // Delete shaders
-        for (const shader of Object.values(this.shaders)) {
-            if (shader && shader.program) {
-                gl.deleteProgram(shader.program);
-            }
+        if (this.occlusionCuller) {
+            this.occlusionCuller.destroy();
+            this.occlusionCuller = null;
+        }
+        
+        if (this.skyRenderer) {
+            this.skyRenderer.destroy();
+            this.skyRenderer = null;
+        }
+        
+        if (this.shadowRenderer) {
+            this.shadowRenderer.destroy();
+            this.shadowRenderer = null;
         }
         
+        if (this.postProcessor) {
+            this.postProcessor.destroy();
+            this.postProcessor = null;
+        }
+        
+        // Render targets not owned by the post processor
+        for (const name of Object.keys(this.fbos)) {
+            this.deleteRenderTarget(name);
+        }
+        
+        if (this.instancedRenderer) {
+            this.instancedRenderer.destroy();
+            this.instancedRenderer = null;
+        }
+        
+        if (this.gpuResources) {
+            this.gpuResources.destroy();
+        }
+        
+        // Delete shaders
+        this.shaderManager.destroy();
+        this.shaders = {};
+        
         // Delete textures
         for (const texture of Object.values(this.textures)) {
             if (texture) {
                 gl.deleteTexture(texture);
             }
         }
+        this.textures = {};
         
         // Delete buffers
         for (const buffer of Object.values(this.buffers)) {
@@ -724,6 +1325,7 @@ export class Engine {
                 gl.deleteBuffer(buffer);
             }
         }
+        this.buffers = {};
         
         // Delete VAOs
         if (this.supportsVAO) {
@@ -737,6 +1339,15 @@ export class Engine {
                 }
             }
         }
+        this.vaos = {};
+    }
+    
+    /**
+     * Destroy engine and cleanup resources
+     */
+    destroy() {
+        this.releaseResources();
+        this.gpuResources = null;
         
         console.log('Engine destroyed');
     }
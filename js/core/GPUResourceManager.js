@@ -0,0 +1,383 @@
+/**
+ * Voxel Game - GPU Resource Manager
+ * Uploads chunk meshes within a per-frame budget, either into shared region
+ * buffers (see ChunkBatch) or into pooled per-mesh buffers with their own VAOs
+ * Version: 0.0.1
+ */
+
+import { ChunkBatch, REGION_SIZE } from './ChunkBatch.js';
+import { SHORT_INDEX_VERTICES } from '../world/Chunk.js';
+
+export class GPUResourceManager {
+    /**
+     * @param {Engine} engine - Provides the context, VAO support and the block
+     *   shader's attribute setup (Engine.bindChunkBuffers)
+     * @param {Object} options
+     * @param {number} [options.uploadBudget] - Bytes uploaded per frame; at
+     *   least one mesh always goes up so a large one can't stall forever
+     * @param {number} [options.maxPooledBytes] - Capacity kept in the buffer
+     *   pools for reuse; buffers beyond it are deleted
+     * @param {boolean} [options.batching] - Share buffers per region; needs
+     *   32-bit indices (WebGL2 or OES_element_index_uint)
+     */
+    constructor(engine, options = {}) {
+        this.engine = engine;
+        this.gl = engine.gl;
+        this.uploadBudget = options.uploadBudget || 512 * 1024;
+        this.maxPooledBytes = options.maxPooledBytes || 16 * 1024 * 1024;
+        
+        // 32-bit index draws; without them large meshes are split (see prepareIndices)
+        this.supportsUintIndices = engine.isWebGL2 || !!engine.extensions.elementIndexUint;
+        
+        // Shared buffers per region of chunks, keyed "rx,rz"
+        this.batching = options.batching !== false && this.supportsUintIndices;
+        this.batches = new Map();
+        
+        // Meshes resident on the GPU per chunk, to notice remeshes and unloads
+        this.resident = new Map(); // chunk -> { opaque, translucent }
+        
+        // Free buffers by capacity (power of two bytes); vertex and index
+        // buffers can't be shared as WebGL fixes a buffer's target on first bind
+        this.vertexPool = new Map();
+        this.indexPool = new Map();
+        this.pooledBytes = 0;
+        
+        // Capacity of each live or pooled buffer
+        this.capacities = new Map();
+        
+        // Stats; resident meshes by index format (mesh.indexType)
+        this.indexTypes = { uint16: 0, uint32: 0, split: 0 };
+        this.residentBytes = 0;
+        this.uploadedBytes = 0;
+        this.uploads = 0;
+    }
+    
+    /**
+     * Release meshes replaced or unloaded since the last frame and upload the
+     * given chunks' new meshes, nearest first, within the budget
+     * @param {Chunk[]} chunks - Chunks about to be drawn, sorted near to far
+     */
+    update(chunks) {
+        for (const [chunk, record] of this.resident) {
+            if (!chunk.blocks) {
+                this.releaseChunk(chunk);
+                continue;
+            }
+            
+            if (record.opaque && record.opaque !== chunk.mesh) {
+                this.releaseMesh(record.opaque);
+                record.opaque = null;
+            }
+            if (record.translucent && record.translucent !== chunk.translucentMesh) {
+                this.releaseMesh(record.translucent);
+                record.translucent = null;
+            }
+        }
+        
+        this.uploadedBytes = 0;
+        this.uploads = 0;
+        
+        for (const chunk of chunks) {
+            if (this.uploads > 0 && this.uploadedBytes >= this.uploadBudget) break;
+            
+            let record = this.resident.get(chunk);
+            
+            if (chunk.mesh && !this.isResident(chunk.mesh) && chunk.mesh.vertexCount > 0) {
+                record = record || this.track(chunk);
+                this.upload(chunk.mesh, chunk);
+                record.opaque = chunk.mesh;
+            }
+            
+            if (chunk.translucentMesh && !this.isResident(chunk.translucentMesh)) {
+                record = record || this.track(chunk);
+                this.upload(chunk.translucentMesh, chunk);
+                record.translucent = chunk.translucentMesh;
+            }
+        }
+    }
+    
+    /**
+     * Start tracking a chunk's resident meshes
+     */
+    track(chunk) {
+        const record = { opaque: null, translucent: null };
+        this.resident.set(chunk, record);
+        return record;
+    }
+    
+    /**
+     * Check if a mesh can be drawn
+     */
+    isResident(mesh) {
+        return !!(mesh.batch || mesh.vertexBuffer);
+    }
+    
+    /**
+     * Upload a mesh into its region's batch, or into pooled buffers with its
+     * own VAO (mesh.vertexBuffer, mesh.indexBuffer, mesh.vao) without batching
+     */
+    upload(mesh, chunk) {
+        const gl = this.gl;
+        const engine = this.engine;
+        const bytes = mesh.vertices.byteLength + mesh.indices.byteLength;
+        
+        this.residentBytes += bytes;
+        this.uploadedBytes += bytes;
+        this.uploads++;
+        
+        if (this.batching) {
+            // Batches always hold 32-bit indices
+            mesh.indexType = 'uint32';
+            mesh.subDraws = null;
+            this.indexTypes.uint32++;
+            this.getBatch(chunk).add(mesh, chunk);
+            return;
+        }
+        
+        const indices = this.prepareIndices(mesh);
+        this.indexTypes[mesh.indexType]++;
+        
+        mesh.vertexBuffer = this.acquireBuffer(this.vertexPool, gl.ARRAY_BUFFER, mesh.vertices);
+        mesh.indexBuffer = this.acquireBuffer(this.indexPool, gl.ELEMENT_ARRAY_BUFFER, indices);
+        mesh.vao = null;
+        
+        // Sub-draws rebind the attributes at their own vertex offsets
+        if (engine.supportsVAO && !mesh.subDraws) {
+            mesh.vao = this.createVertexArray();
+            this.bindVertexArray(mesh.vao);
+            engine.bindChunkBuffers(mesh, engine.shaders.block);
+            this.bindVertexArray(null);
+        }
+    }
+    
+    /**
+     * Choose how a mesh's indices are drawn, recorded as mesh.indexType:
+     * 'uint16' for meshes that fit 16 bits, 'uint32' where the context draws
+     * 32-bit indices, else 'split' into 16-bit mesh.subDraws
+     * @returns {Uint16Array|Uint32Array} indices to upload
+     */
+    prepareIndices(mesh) {
+        mesh.subDraws = null;
+        
+        if (mesh.indices instanceof Uint16Array) {
+            mesh.indexType = 'uint16';
+            return mesh.indices;
+        }
+        
+        if (this.supportsUintIndices) {
+            mesh.indexType = 'uint32';
+            return mesh.indices;
+        }
+        
+        const split = splitIndices(mesh.indices);
+        mesh.indexType = 'split';
+        mesh.subDraws = split.subDraws;
+        return split.indices;
+    }
+    
+    /**
+     * Get or create the batch for a chunk's region
+     */
+    getBatch(chunk) {
+        const regionX = Math.floor(chunk.position.x / REGION_SIZE);
+        const regionZ = Math.floor(chunk.position.z / REGION_SIZE);
+        const key = `${regionX},${regionZ}`;
+        
+        let batch = this.batches.get(key);
+        if (!batch) {
+            batch = new ChunkBatch(this.engine, regionX, regionZ);
+            this.batches.set(key, batch);
+        }
+        return batch;
+    }
+    
+    /**
+     * Free a mesh's share of its batch (dropping the batch once empty), or
+     * return its buffers to the pools and delete its VAO
+     */
+    releaseMesh(mesh) {
+        if (!this.isResident(mesh)) return;
+        
+        this.residentBytes -= mesh.vertices.byteLength + mesh.indices.byteLength;
+        this.indexTypes[mesh.indexType]--;
+        
+        if (mesh.batch) {
+            const batch = mesh.batch;
+            batch.remove(mesh);
+            
+            if (batch.meshes.size === 0) {
+                batch.destroy();
+                this.batches.delete(`${batch.regionX},${batch.regionZ}`);
+            }
+            return;
+        }
+        
+        if (mesh.vao) {
+            if (this.engine.isWebGL2) {
+                this.gl.deleteVertexArray(mesh.vao);
+            } else {
+                this.engine.vaoExt.deleteVertexArrayOES(mesh.vao);
+            }
+        }
+        
+        this.releaseBuffer(this.vertexPool, mesh.vertexBuffer);
+        this.releaseBuffer(this.indexPool, mesh.indexBuffer);
+        
+        mesh.vertexBuffer = null;
+        mesh.indexBuffer = null;
+        mesh.vao = null;
+    }
+    
+    /**
+     * Free everything a chunk has on the GPU (call when it unloads)
+     */
+    releaseChunk(chunk) {
+        const record = this.resident.get(chunk);
+        if (!record) return;
+        
+        if (record.opaque) this.releaseMesh(record.opaque);
+        if (record.translucent) this.releaseMesh(record.translucent);
+        this.resident.delete(chunk);
+    }
+    
+    /**
+     * Take a pooled buffer big enough for `data` (or create one) and fill it
+     */
+    acquireBuffer(pool, target, data) {
+        const gl = this.gl;
+        const capacity = Math.max(256, 2 ** Math.ceil(Math.log2(data.byteLength)));
+        
+        const free = pool.get(capacity);
+        let buffer = free && free.pop();
+        
+        if (buffer) {
+            this.pooledBytes -= capacity;
+            gl.bindBuffer(target, buffer);
+            gl.bufferSubData(target, 0, data);
+        } else {
+            buffer = gl.createBuffer();
+            this.capacities.set(buffer, capacity);
+            gl.bindBuffer(target, buffer);
+            gl.bufferData(target, capacity, gl.STATIC_DRAW);
+            gl.bufferSubData(target, 0, data);
+        }
+        
+        return buffer;
+    }
+    
+    /**
+     * Put a buffer back in its pool, or delete it when the pools are full
+     */
+    releaseBuffer(pool, buffer) {
+        const capacity = this.capacities.get(buffer);
+        
+        if (this.pooledBytes + capacity > this.maxPooledBytes) {
+            this.gl.deleteBuffer(buffer);
+            this.capacities.delete(buffer);
+            return;
+        }
+        
+        if (!pool.has(capacity)) {
+            pool.set(capacity, []);
+        }
+        pool.get(capacity).push(buffer);
+        this.pooledBytes += capacity;
+    }
+    
+    /**
+     * Create a VAO through WebGL2 or OES_vertex_array_object
+     */
+    createVertexArray() {
+        return this.engine.isWebGL2
+            ? this.gl.createVertexArray()
+            : this.engine.vaoExt.createVertexArrayOES();
+    }
+    
+    /**
+     * Bind a VAO (null restores the default)
+     */
+    bindVertexArray(vao) {
+        if (this.engine.isWebGL2) {
+            this.gl.bindVertexArray(vao);
+        } else {
+            this.engine.vaoExt.bindVertexArrayOES(vao);
+        }
+    }
+    
+    /**
+     * Get resource statistics
+     */
+    getStats() {
+        let batchBytes = 0;
+        for (const batch of this.batches.values()) {
+            batchBytes += batch.getCapacityBytes();
+        }
+        
+        return {
+            chunks: this.resident.size,
+            batches: this.batches.size,
+            batchBytes,
+            indexTypes: { ...this.indexTypes },
+            residentBytes: this.residentBytes,
+            pooledBytes: this.pooledBytes,
+            uploads: this.uploads,
+            uploadedBytes: this.uploadedBytes
+        };
+    }
+    
+    /**
+     * Delete every buffer and VAO, resident or pooled; meshes need uploading
+     * again and the manager can keep going from empty
+     */
+    destroy() {
+        for (const chunk of [...this.resident.keys()]) {
+            this.releaseChunk(chunk);
+        }
+        
+        for (const batch of this.batches.values()) {
+            batch.destroy();
+        }
+        this.batches.clear();
+        
+        for (const buffer of this.capacities.keys()) {
+            this.gl.deleteBuffer(buffer);
+        }
+        
+        this.capacities.clear();
+        this.vertexPool.clear();
+        this.indexPool.clear();
+        this.pooledBytes = 0;
+    }
+}
+
+/**
+ * Split 32-bit indices into 16-bit sub-draws over windows of at most
+ * SHORT_INDEX_VERTICES vertices, each rebased to its first vertex
+ * Relies on meshes listing triangles in vertex order, as the meshers do, so
+ * a window never reaches back before its start.
+ * @returns {{indices: Uint16Array, subDraws: Object[]}} sub-draws as
+ *   { vertexStart, indexStart, indexCount }
+ */
+function splitIndices(indices) {
+    const split = new Uint16Array(indices.length);
+    const subDraws = [];
+    let draw = null;
+    
+    for (let i = 0; i < indices.length; i += 3) {
+        const a = indices[i];
+        const b = indices[i + 1];
+        const c = indices[i + 2];
+        
+        if (!draw || Math.max(a, b, c) - draw.vertexStart >= SHORT_INDEX_VERTICES) {
+            draw = { vertexStart: Math.min(a, b, c), indexStart: i, indexCount: 0 };
+            subDraws.push(draw);
+        }
+        
+        split[i] = a - draw.vertexStart;
+        split[i + 1] = b - draw.vertexStart;
+        split[i + 2] = c - draw.vertexStart;
+        draw.indexCount += 3;
+    }
+    
+    return { indices: split, subDraws };
+}
\ No newline at end of file
@@ -0,0 +1,274 @@
+/**
+ * Voxel Game - Post Processor
+ * Renders the scene into an off-screen target and runs it through a list of
+ * full-screen passes (bloom, tone mapping, underwater distortion, FXAA,
+ * vignette) on its way to the canvas
+ * Version: 0.0.1
+ */
+
+// Location of the screen triangle's corners in the 'post' program
+const POSITION_LOCATION = 0;
+
+// Passes by config name: the 'post' variants they use (by define) and
+// whether they run this frame. Passes not listed are skipped with a warning.
+const PASSES = {
+    bloom: { programs: ['BLOOM_EXTRACT', 'BLUR', 'BLOOM_COMPOSITE'] },
+    tonemap: { programs: ['TONEMAP'] },
+    underwater: { programs: ['UNDERWATER'], isActive: engine => engine.underwater },
+    fxaa: { programs: ['FXAA'] },
+    vignette: { programs: ['VIGNETTE'] }
+};
+
+// Spacing of the bloom blur's taps in bloom texels; wider spreads the glow
+const BLUR_RADIUS = 1.5;
+
+// Bloom threshold cap on 8-bit targets: colors there clamp at 1, so
+// emissive blocks (above 1 with half float) would never clear a threshold
+// of 1 or more
+const LDR_BLOOM_THRESHOLD = 0.75;
+
+export class PostProcessor {
+    /**
+     * @param {Engine} engine - Provides the context, render targets and shaders
+     * @param {Object} options
+     * @param {string[]} [options.passes] - Pass names in the order they run
+     * @param {number} [options.bloomThreshold] - Brightness where bloom
+     *   starts, capped at LDR_BLOOM_THRESHOLD without half float targets
+     * @param {number} [options.bloomStrength] - Bloom added back to the scene
+     * @param {number} [options.exposure] - Tone mapping exposure
+     * @param {number} [options.vignetteStrength] - Corner darkening, 0-1
+     */
+    constructor(engine, options = {}) {
+        this.engine = engine;
+        this.gl = engine.gl;
+        
+        this.bloomThreshold = options.bloomThreshold ?? 1.0;
+        this.bloomStrength = options.bloomStrength ?? 0.6;
+        this.exposure = options.exposure ?? 1.0;
+        this.vignetteStrength = options.vignetteStrength ?? 0.35;
+        
+        this.passes = [];
+        for (const name of options.passes || Object.keys(PASSES)) {
+            if (PASSES[name]) {
+                this.passes.push({ name, ...PASSES[name] });
+            } else {
+                console.warn(`Unknown post-processing pass: ${name}`);
+            }
+        }
+        
+        // Passes running this frame, reused between frames
+        this.activePasses = [];
+        
+        // 'post' variants by define, owned by the shader manager
+        this.programs = {};
+        this.createPrograms();
+        
+        // One triangle covering the screen, as for the sky
+        this.buffer = this.gl.createBuffer();
+        this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.buffer);
+        this.gl.bufferData(this.gl.ARRAY_BUFFER, new Float32Array([-1, -1, 3, -1, -1, 3]), this.gl.STATIC_DRAW);
+        
+        this.width = 0;
+        this.height = 0;
+        this.resize(engine.viewportWidth, engine.viewportHeight);
+    }
+    
+    /**
+     * Compile the copy variant and those of the configured passes; a pass
+     * whose variants fail to build is dropped
+     */
+    createPrograms() {
+        const engine = this.engine;
+        
+        const names = new Set(['COPY']);
+        for (const pass of this.passes) {
+            pass.programs.forEach(name => names.add(name));
+        }
+        
+        for (const name of names) {
+            const shader = engine.createOptionalShader('post', { [name]: true });
+            if (shader) {
+                this.programs[name] = shader;
+            }
+        }
+        
+        this.passes = this.passes.filter(pass => pass.programs.every(name => this.programs[name]));
+    }
+    
+    /**
+     * Size the targets to the canvas: the scene (with depth) and two
+     * ping-pong targets at full size, bloom at half size
+     */
+    resize(width, height) {
+        width = Math.max(1, width);
+        height = Math.max(1, height);
+        if (width === this.width && height === this.height) return;
+        
+        const engine = this.engine;
+        this.width = width;
+        this.height = height;
+        
+        engine.createRenderTarget('scene', width, height, { depth: true, hdr: true });
+        engine.createRenderTarget('post0', width, height, { hdr: true });
+        engine.createRenderTarget('post1', width, height, { hdr: true });
+        
+        if (this.passes.some(pass => pass.name === 'bloom')) {
+            const bloomWidth = Math.max(1, width >> 1);
+            const bloomHeight = Math.max(1, height >> 1);
+            engine.createRenderTarget('bloom0', bloomWidth, bloomHeight, { hdr: true });
+            engine.createRenderTarget('bloom1', bloomWidth, bloomHeight, { hdr: true });
+        }
+    }
+    
+    /**
+     * Run the scene target through the active passes onto the canvas; call
+     * after everything in the frame has been drawn
+     */
+    render() {
+        const gl = this.gl;
+        const engine = this.engine;
+        const fbos = engine.fbos;
+        
+        const active = this.activePasses;
+        active.length = 0;
+        for (const pass of this.passes) {
+            if (!pass.isActive || pass.isActive(engine)) {
+                active.push(pass);
+            }
+        }
+        
+        gl.disable(gl.DEPTH_TEST);
+        gl.depthMask(false);
+        gl.disable(gl.BLEND);
+        
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.buffer);
+        gl.enableVertexAttribArray(POSITION_LOCATION);
+        gl.vertexAttribPointer(POSITION_LOCATION, 2, gl.FLOAT, false, 0, 0);
+        
+        // The last pass draws to the canvas, the others alternate between
+        // the ping-pong targets
+        let input = fbos.scene;
+        if (active.length === 0) {
+            this.beginPass(this.programs.COPY, input, null);
+            this.draw();
+        }
+        
+        for (let i = 0; i < active.length; i++) {
+            const output = i === active.length - 1 ? null : fbos[i % 2 === 0 ? 'post0' : 'post1'];
+            this.runPass(active[i].name, input, output);
+            input = output;
+        }
+        
+        gl.disableVertexAttribArray(POSITION_LOCATION);
+        gl.bindTexture(gl.TEXTURE_2D, null);
+        gl.depthMask(true);
+        gl.enable(gl.DEPTH_TEST);
+    }
+    
+    /**
+     * Run one pass from an input target into an output target (null for
+     * the canvas)
+     */
+    runPass(name, input, output) {
+        const gl = this.gl;
+        const programs = this.programs;
+        
+        switch (name) {
+            case 'bloom': {
+                const { bloom0, bloom1 } = this.engine.fbos;
+                const threshold = input.hdr ? this.bloomThreshold : Math.min(this.bloomThreshold, LDR_BLOOM_THRESHOLD);
+                
+                // Bright parts at half size, blurred across then down
+                let shader = this.beginPass(programs.BLOOM_EXTRACT, input, bloom0);
+                gl.uniform1f(shader.uniforms.uThreshold, threshold);
+                this.draw();
+                
+                shader = this.beginPass(programs.BLUR, bloom0, bloom1);
+                gl.uniform2f(shader.uniforms.uDirection, BLUR_RADIUS / bloom0.width, 0);
+                this.draw();
+                
+                shader = this.beginPass(programs.BLUR, bloom1, bloom0);
+                gl.uniform2f(shader.uniforms.uDirection, 0, BLUR_RADIUS / bloom1.height);
+                this.draw();
+                
+                shader = this.beginPass(programs.BLOOM_COMPOSITE, input, output);
+                gl.activeTexture(gl.TEXTURE1);
+                gl.bindTexture(gl.TEXTURE_2D, bloom0.texture);
+                gl.activeTexture(gl.TEXTURE0);
+                gl.uniform1i(shader.uniforms.uBloom, 1);
+                gl.uniform1f(shader.uniforms.uStrength, this.bloomStrength);
+                this.draw();
+                break;
+            }
+            case 'tonemap': {
+                const shader = this.beginPass(programs.TONEMAP, input, output);
+                gl.uniform1f(shader.uniforms.uExposure, this.exposure);
+                this.draw();
+                break;
+            }
+            case 'underwater': {
+                const shader = this.beginPass(programs.UNDERWATER, input, output);
+                gl.uniform1f(shader.uniforms.uTime, performance.now() / 1000);
+                this.draw();
+                break;
+            }
+            case 'vignette': {
+                const shader = this.beginPass(programs.VIGNETTE, input, output);
+                gl.uniform1f(shader.uniforms.uStrength, this.vignetteStrength);
+                this.draw();
+                break;
+            }
+            case 'fxaa':
+                this.beginPass(programs.FXAA, input, output);
+                this.draw();
+        }
+    }
+    
+    /**
+     * Bind an output target and a program reading the input target on
+     * texture unit 0
+     * @returns {Object} the program, in use, for pass-specific uniforms
+     */
+    beginPass(shader, input, output) {
+        const gl = this.gl;
+        const engine = this.engine;
+        
+        gl.bindFramebuffer(gl.FRAMEBUFFER, output ? output.framebuffer : null);
+        if (output) {
+            gl.viewport(0, 0, output.width, output.height);
+        } else {
+            gl.viewport(0, 0, engine.viewportWidth, engine.viewportHeight);
+        }
+        
+        gl.useProgram(shader.program);
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, input.texture);
+        gl.uniform1i(shader.uniforms.uTexture, 0);
+        gl.uniform2f(shader.uniforms.uTexelSize, 1 / input.width, 1 / input.height);
+        
+        return shader;
+    }
+    
+    /**
+     * Draw the screen triangle with the current program
+     */
+    draw() {
+        this.gl.drawArrays(this.gl.TRIANGLES, 0, 3);
+        this.engine.stats.drawCalls++;
+    }
+    
+    /**
+     * Delete the screen triangle and render targets
+     */
+    destroy() {
+        const gl = this.gl;
+        
+        this.programs = {};
+        gl.deleteBuffer(this.buffer);
+        this.buffer = null;
+        
+        for (const name of ['scene', 'post0', 'post1', 'bloom0', 'bloom1']) {
+            this.engine.deleteRenderTarget(name);
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,390 @@
+/**
+ * Voxel Game - Shader Manager
+ * Named shader programs loaded from shaders/*.glsl and compiled per variant
+ * (a set of #defines), with cached uniform and attribute locations and
+ * structured compile errors; programs can be recompiled in place
+ * Version: 0.0.1
+ */
+
+/**
+ * A shader stage failed to compile, or a program to link
+ * errors: [{ line, message }] with lines counted in the .glsl file (0 when
+ * the driver gave none)
+ */
+export class ShaderCompileError extends Error {
+    /**
+     * @param {string} program - Registered program name
+     * @param {string} stage - 'vertex', 'fragment' or 'link'
+     * @param {string|null} file - Source file of the stage
+     * @param {string} log - Driver info log
+     * @param {number} [lineOffset] - Header lines the manager put before the file
+     */
+    constructor(program, stage, file, log, lineOffset = 0) {
+        const errors = parseInfoLog(log || '', lineOffset);
+        const first = errors[0];
+        const where = file ? (first && first.line ? `${file}:${first.line}` : file) : program;
+        const action = stage === 'link' ? 'link' : 'compile';
+        
+        super(`Shader "${program}" failed to ${action} (${where}): ${first ? first.message : 'unknown error'}`);
+        this.name = 'ShaderCompileError';
+        this.program = program;
+        this.stage = stage;
+        this.file = file;
+        this.errors = errors;
+        this.log = log;
+    }
+}
+
+export class ShaderManager {
+    /**
+     * @param {WebGLRenderingContext|WebGL2RenderingContext} gl
+     * @param {Object} options
+     * @param {boolean} [options.isWebGL2] - Compile as GLSL ES 3.00
+     * @param {string} [options.basePath] - URL of the shader sources
+     * @param {boolean} [options.devMode] - Bypass the HTTP cache when
+     *   fetching sources, so reload() sees edits
+     */
+    constructor(gl, options = {}) {
+        this.gl = gl;
+        this.isWebGL2 = !!options.isWebGL2;
+        this.basePath = options.basePath || 'shaders/';
+        this.devMode = !!options.devMode;
+        
+        // Registered programs by name: source files, attribute locations
+        this.definitions = new Map();
+        
+        // Source text by file name
+        this.sources = new Map();
+        
+        // Compiled variants by name and defines (see variantKey)
+        this.programs = new Map();
+    }
+    
+    /**
+     * Register a program
+     * @param {string} name
+     * @param {Object} [definition]
+     * @param {string} [definition.vertex] - Vertex source file, default
+     *   `${name}.vertex.glsl`
+     * @param {string} [definition.fragment] - Fragment source file, default
+     *   `${name}.fragment.glsl`
+     * @param {Object} [definition.attributeLocations] - Locations bound by
+     *   name before linking, kept across variants and reloads
+     */
+    register(name, definition = {}) {
+        this.definitions.set(name, {
+            vertex: definition.vertex || `${name}.vertex.glsl`,
+            fragment: definition.fragment || `${name}.fragment.glsl`,
+            attributeLocations: definition.attributeLocations || {}
+        });
+    }
+    
+    /**
+     * Fetch the sources of registered programs
+     * @param {string[]} [names] - Programs to load, all by default
+     */
+    async load(names = [...this.definitions.keys()]) {
+        const files = new Set();
+        for (const name of names) {
+            const definition = this.getDefinition(name);
+            files.add(definition.vertex);
+            files.add(definition.fragment);
+        }
+        
+        await Promise.all([...files].map(async (file) => {
+            this.sources.set(file, await this.fetchSource(file));
+        }));
+    }
+    
+    /**
+     * Fetch one source file
+     */
+    async fetchSource(file) {
+        const response = await fetch(this.basePath + file, this.devMode ? { cache: 'no-store' } : undefined);
+        if (!response.ok) {
+            throw new Error(`Failed to load shader source ${file} (${response.status})`);
+        }
+        return response.text();
+    }
+    
+    /**
+     * Get a program variant, compiling it on first use
+     * @param {string} name - Registered program
+     * @param {Object} [defines] - Macros for the variant: true defines a
+     *   flag, false or null leaves it out, anything else becomes its value
+     * @returns {{name, defines, program, uniforms, attributes}} shared by
+     *   every caller of the variant
+     * @throws {ShaderCompileError}
+     */
+    get(name, defines = {}) {
+        const key = variantKey(name, defines);
+        let shader = this.programs.get(key);
+        
+        if (!shader) {
+            shader = { name, defines: { ...defines }, program: null, uniforms: {}, attributes: {} };
+            this.build(shader);
+            this.programs.set(key, shader);
+        }
+        
+        return shader;
+    }
+    
+    /**
+     * Recompile every compiled variant of a program from freshly fetched
+     * sources. Variants are updated in place, so renderers holding them
+     * draw with the new code. It's all or nothing: if any variant fails,
+     * every variant keeps its old program and the old sources stay loaded
+     * for variants compiled later.
+     * @returns {Promise<number>} variants rebuilt
+     * @throws {ShaderCompileError}
+     */
+    async reload(name) {
+        const definition = this.getDefinition(name);
+        const previousSources = [definition.vertex, definition.fragment].map(file => [file, this.sources.get(file)]);
+        const variants = [...this.programs.values()].filter(shader => shader.name === name);
+        const linked = [];
+        
+        try {
+            await this.load([name]);
+            for (const shader of variants) {
+                linked.push(this.link(shader));
+            }
+        } catch (error) {
+            for (const result of linked) {
+                this.gl.deleteProgram(result.program);
+            }
+            for (const [file, source] of previousSources) {
+                if (source === undefined) {
+                    this.sources.delete(file);
+                } else {
+                    this.sources.set(file, source);
+                }
+            }
+            throw error;
+        }
+        
+        variants.forEach((shader, i) => this.swap(shader, linked[i]));
+        
+        console.log(`Reloaded shader ${name} (${variants.length} variant${variants.length === 1 ? '' : 's'})`);
+        return variants.length;
+    }
+    
+    /**
+     * Compile and link a variant, swapping the result into it
+     */
+    build(shader) {
+        this.swap(shader, this.link(shader));
+    }
+    
+    /**
+     * Replace a variant's program, deleting the old one
+     * @param {Object} linked - Result of link()
+     */
+    swap(shader, linked) {
+        if (shader.program) {
+            this.gl.deleteProgram(shader.program);
+        }
+        
+        shader.program = linked.program;
+        shader.uniforms = linked.uniforms;
+        shader.attributes = linked.attributes;
+    }
+    
+    /**
+     * Compile and link a variant from the loaded sources without touching it
+     * @returns {{program, uniforms, attributes}}
+     * @throws {ShaderCompileError}
+     */
+    link(shader) {
+        const gl = this.gl;
+        const definition = this.getDefinition(shader.name);
+        
+        const vertexShader = this.compile(shader, gl.VERTEX_SHADER, definition.vertex);
+        let fragmentShader;
+        try {
+            fragmentShader = this.compile(shader, gl.FRAGMENT_SHADER, definition.fragment);
+        } catch (error) {
+            gl.deleteShader(vertexShader);
+            throw error;
+        }
+        
+        const program = gl.createProgram();
+        gl.attachShader(program, vertexShader);
+        gl.attachShader(program, fragmentShader);
+        
+        for (const [attribute, location] of Object.entries(definition.attributeLocations)) {
+            gl.bindAttribLocation(program, location, attribute);
+        }
+        
+        gl.linkProgram(program);
+        gl.deleteShader(vertexShader);
+        gl.deleteShader(fragmentShader);
+        
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            const log = gl.getProgramInfoLog(program);
+            gl.deleteProgram(program);
+            throw new ShaderCompileError(shader.name, 'link', null, log);
+        }
+        
+        return {
+            program,
+            uniforms: this.getUniformLocations(program),
+            attributes: this.getAttributeLocations(program, definition.attributeLocations)
+        };
+    }
+    
+    /**
+     * Compile one stage of a variant: its file behind the variant's header
+     * @returns {WebGLShader}
+     */
+    compile(shader, type, file) {
+        const gl = this.gl;
+        const source = this.sources.get(file);
+        if (source === undefined) {
+            throw new Error(`Shader source ${file} is not loaded`);
+        }
+        
+        const header = this.createHeader(type, shader.defines);
+        const stage = gl.createShader(type);
+        gl.shaderSource(stage, header + source);
+        gl.compileShader(stage);
+        
+        if (!gl.getShaderParameter(stage, gl.COMPILE_STATUS)) {
+            const log = gl.getShaderInfoLog(stage);
+            gl.deleteShader(stage);
+            const lineOffset = header.split('\n').length - 1;
+            throw new ShaderCompileError(shader.name, type === gl.VERTEX_SHADER ? 'vertex' : 'fragment', file, log, lineOffset);
+        }
+        
+        return stage;
+    }
+    
+    /**
+     * Lines put before a source file: the GLSL version, the variant's
+     * defines, and on WebGL2 macros mapping the GLSL ES 1.00 the files are
+     * written in onto 3.00
+     */
+    createHeader(type, defines) {
+        const lines = [];
+        
+        if (this.isWebGL2) {
+            lines.push('#version 300 es', '#define WEBGL2');
+        }
+        
+        for (const [name, value] of Object.entries(defines)) {
+            if (value === false || value === null || value === undefined) continue;
+            lines.push(value === true ? `#define ${name}` : `#define ${name} ${value}`);
+        }
+        
+        if (this.isWebGL2) {
+            if (type === this.gl.VERTEX_SHADER) {
+                lines.push('#define attribute in', '#define varying out');
+            } else {
+                lines.push(
+                    '#define varying in',
+                    '#define texture2D texture',
+                    'out highp vec4 fragColor;',
+                    '#define gl_FragColor fragColor'
+                );
+            }
+        }
+        
+        return lines.length > 0 ? lines.join('\n') + '\n' : '';
+    }
+    
+    /**
+     * Locations of a program's active uniforms by name (arrays by their
+     * base name)
+     */
+    getUniformLocations(program) {
+        const gl = this.gl;
+        const uniforms = {};
+        const count = gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS);
+        
+        for (let i = 0; i < count; i++) {
+            const info = gl.getActiveUniform(program, i);
+            if (!info) continue;
+            uniforms[info.name.replace(/\[0\]$/, '')] = gl.getUniformLocation(program, info.name);
+        }
+        
+        return uniforms;
+    }
+    
+    /**
+     * Locations of a program's active attributes by name; bound attributes
+     * the variant doesn't use keep their bound location
+     */
+    getAttributeLocations(program, bound) {
+        const gl = this.gl;
+        const attributes = { ...bound };
+        const count = gl.getProgramParameter(program, gl.ACTIVE_ATTRIBUTES);
+        
+        for (let i = 0; i < count; i++) {
+            const info = gl.getActiveAttrib(program, i);
+            if (!info) continue;
+            attributes[info.name] = gl.getAttribLocation(program, info.name);
+        }
+        
+        return attributes;
+    }
+    
+    /**
+     * Get a registered program's definition
+     */
+    getDefinition(name) {
+        const definition = this.definitions.get(name);
+        if (!definition) {
+            throw new Error(`Unknown shader: ${name}`);
+        }
+        return definition;
+    }
+    
+    /**
+     * Delete every compiled program; the loaded sources stay, so get()
+     * compiles variants again
+     */
+    destroy() {
+        for (const shader of this.programs.values()) {
+            if (shader.program) {
+                this.gl.deleteProgram(shader.program);
+                shader.program = null;
+            }
+        }
+        this.programs.clear();
+    }
+}
+
+/**
+ * Cache key of a variant: the name and its set defines, in name order
+ */
+function variantKey(name, defines) {
+    const parts = [name];
+    for (const define of Object.keys(defines).sort()) {
+        const value = defines[define];
+        if (value === false || value === null || value === undefined) continue;
+        parts.push(value === true ? define : `${define}=${value}`);
+    }
+    return parts.join('|');
+}
+
+/**
+ * Split a driver info log into { line, message } entries, mapping lines back
+ * to the source file. Drivers report "ERROR: 0:12: message".
+ */
+function parseInfoLog(log, lineOffset) {
+    const errors = [];
+    
+    for (const text of log.split('\n')) {
+        const entry = text.trim().replace(/\0/g, '');
+        if (!entry || /^ERROR:\s*\d+ compilation errors?/.test(entry)) continue;
+        
+        const match = /^(?:ERROR|WARNING):\s*\d+:(\d+):\s*(.*)$/.exec(entry);
+        if (match) {
+            errors.push({ line: Math.max(0, Number(match[1]) - lineOffset), message: match[2] });
+        } else {
+            errors.push({ line: 0, message: entry });
+        }
+    }
+    
+    return errors;
+}
\ No newline at end of file
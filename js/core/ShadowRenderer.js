@@ -0,0 +1,269 @@
+/**
+ * Voxel Game - Shadow Renderer
+ * Directional shadow map from the sun (or moon): chunks around the camera are
+ * rendered into a depth texture from the light, which the block shader
+ * samples with PCF
+ * Version: 0.0.1
+ */
+
+export class ShadowRenderer {
+    /**
+     * @param {Engine} engine - Provides the context, chunk drawing and lighting
+     * @param {Object} shader - 'shadow' program (see Engine.createShaders)
+     * @param {Object} options
+     * @param {number} [options.size] - Shadow map resolution (texels per side)
+     * @param {number} [options.distance] - Half-width of the shadowed area
+     *   around the camera, in blocks
+     * @param {number} [options.depthRange] - Blocks covered towards and away
+     *   from the light, enough for casters above the view
+     */
+    constructor(engine, shader, options = {}) {
+        this.engine = engine;
+        this.gl = engine.gl;
+        this.shader = shader;
+        this.size = options.size || 2048;
+        this.distance = options.distance || 64;
+        this.depthRange = options.depthRange || 192;
+        
+        // World to shadow map clip space, read by the block shader
+        this.lightViewProjection = new Float32Array(16);
+        
+        // False while the light is too dim to cast (sun and moon both at the
+        // horizon); the block shader then skips its lookups
+        this.active = false;
+        
+        // Chunks drawn into the map last frame
+        this.casterCount = 0;
+        this.casters = [];
+        
+        this.depthTexture = null;
+        this.framebuffer = null;
+        this.createTarget();
+    }
+    
+    /**
+     * Create the depth texture and a framebuffer rendering into it
+     */
+    createTarget() {
+        const gl = this.gl;
+        const engine = this.engine;
+        
+        this.depthTexture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, this.depthTexture);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        
+        if (engine.isWebGL2) {
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.DEPTH_COMPONENT24, this.size, this.size, 0,
+                gl.DEPTH_COMPONENT, gl.UNSIGNED_INT, null);
+        } else {
+            // WEBGL_depth_texture
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.DEPTH_COMPONENT, this.size, this.size, 0,
+                gl.DEPTH_COMPONENT, gl.UNSIGNED_INT, null);
+        }
+        gl.bindTexture(gl.TEXTURE_2D, null);
+        
+        this.framebuffer = gl.createFramebuffer();
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.TEXTURE_2D, this.depthTexture, 0);
+        
+        this.complete = gl.checkFramebufferStatus(gl.FRAMEBUFFER) === gl.FRAMEBUFFER_COMPLETE;
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        
+        if (!this.complete) {
+            console.warn('Shadow map framebuffer incomplete, shadows disabled');
+        }
+    }
+    
+    /**
+     * Render the shadow map for this frame; call before the world, after
+     * the view matrix and lighting are updated
+     */
+    render(world, camera) {
+        const engine = this.engine;
+        const light = engine.lightColor;
+        
+        this.active = this.complete && Math.max(light[0], light[1], light[2]) > 0.01;
+        this.casterCount = 0;
+        if (!this.active) return;
+        
+        const gl = this.gl;
+        const shader = this.shader;
+        const stats = engine.stats;
+        
+        this.updateLightMatrix(camera.position);
+        const casters = this.collectCasters(world, camera.position);
+        
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+        gl.viewport(0, 0, this.size, this.size);
+        gl.clear(gl.DEPTH_BUFFER_BIT);
+        
+        // Back faces only: they sit behind the lit surfaces, so those don't
+        // shadow themselves (acne)
+        gl.cullFace(gl.FRONT);
+        
+        gl.useProgram(shader.program);
+        gl.uniformMatrix4fv(shader.uniforms.uLightViewProjection, false, this.lightViewProjection);
+        gl.uniform1f(shader.uniforms.uChunkSize, engine.config.CHUNK_SIZE || 16);
+        
+        // Shadow draws don't count against the frame's chunk stats or budget,
+        // nor are they capped by it: casters are already limited to the map
+        const { drawCalls, vertices, triangles, chunks } = stats;
+        engine.renderChunkMeshes(casters, 'mesh', shader, Infinity);
+        stats.shadowDrawCalls = stats.drawCalls - drawCalls;
+        stats.drawCalls = drawCalls;
+        stats.vertices = vertices;
+        stats.triangles = triangles;
+        stats.chunks = chunks;
+        
+        gl.cullFace(gl.BACK);
+        engine.bindFrameTarget();
+        
+        this.casterCount = casters.length;
+    }
+    
+    /**
+     * Aim an orthographic light view along the light direction, centered on
+     * the camera and snapped to whole texels so shadow edges don't shimmer
+     * as it moves
+     */
+    updateLightMatrix(center) {
+        const direction = this.engine.lightDirection;
+        const m = this.lightViewProjection;
+        
+        // Light basis: forward along the light, right and up across the map
+        const forward = normalize([direction[0], direction[1], direction[2]]);
+        const reference = Math.abs(forward[1]) > 0.99 ? [1, 0, 0] : [0, 1, 0];
+        const right = normalize(cross(forward, reference));
+        const up = cross(right, forward);
+        
+        const position = [center.x, center.y, center.z];
+        const texel = this.distance * 2 / this.size;
+        const x = Math.floor(dot(right, position) / texel) * texel;
+        const y = Math.floor(dot(up, position) / texel) * texel;
+        const z = dot(forward, position);
+        
+        // Rows of the view scaled into clip space, column-major; depth runs
+        // from the light towards the scene
+        const scale = 1 / this.distance;
+        const depthScale = 1 / this.depthRange;
+        
+        m[0] = right[0] * scale; m[4] = right[1] * scale; m[8] = right[2] * scale; m[12] = -x * scale;
+        m[1] = up[0] * scale; m[5] = up[1] * scale; m[9] = up[2] * scale; m[13] = -y * scale;
+        m[2] = forward[0] * depthScale; m[6] = forward[1] * depthScale; m[10] = forward[2] * depthScale; m[14] = -z * depthScale;
+        m[3] = 0; m[7] = 0; m[11] = 0; m[15] = 1;
+    }
+    
+    /**
+     * Find chunks with an uploaded opaque mesh that overlap the map, nearest
+     * the camera first
+     */
+    collectCasters(world, center) {
+        const m = this.lightViewProjection;
+        const chunkSize = world.chunkSize;
+        const half = chunkSize / 2;
+        
+        // A chunk's extent across the map, in clip units (half its diagonal)
+        const radius = Math.sqrt(3) * half / this.distance;
+        const casters = this.casters;
+        casters.length = 0;
+        
+        // Camera position in chunks, to sort by
+        const cx = center.x / chunkSize - 0.5;
+        const cy = center.y / chunkSize - 0.5;
+        const cz = center.z / chunkSize - 0.5;
+        
+        for (const chunk of world.activeChunks) {
+            const mesh = chunk.mesh;
+            if (!mesh || !(mesh.vertexBuffer || mesh.batch) || mesh.indexCount === 0) continue;
+            
+            const x = chunk.position.x * chunkSize + half;
+            const y = chunk.position.y * chunkSize + half;
+            const z = chunk.position.z * chunkSize + half;
+            
+            const u = m[0] * x + m[4] * y + m[8] * z + m[12];
+            const v = m[1] * x + m[5] * y + m[9] * z + m[13];
+            
+            if (Math.abs(u) <= 1 + radius && Math.abs(v) <= 1 + radius) {
+                casters.push(chunk);
+            }
+        }
+        
+        casters.sort((a, b) => distanceSquared(a.position, cx, cy, cz) - distanceSquared(b.position, cx, cy, cz));
+        
+        return casters;
+    }
+    
+    /**
+     * Set the block shader's shadow uniforms and bind the map to a texture unit
+     * @param {Object} shader - Block shader, in use
+     * @param {number} unit - Texture unit for the map
+     */
+    bind(shader, unit) {
+        const gl = this.gl;
+        
+        gl.activeTexture(gl.TEXTURE0 + unit);
+        gl.bindTexture(gl.TEXTURE_2D, this.depthTexture);
+        gl.activeTexture(gl.TEXTURE0);
+        
+        gl.uniform1i(shader.uniforms.uShadowMap, unit);
+        gl.uniformMatrix4fv(shader.uniforms.uLightViewProjection, false, this.lightViewProjection);
+        
+        // Texel size for PCF, normal offset in blocks, depth bias, enabled
+        gl.uniform4f(shader.uniforms.uShadowParams,
+            1 / this.size, this.distance * 3 / this.size, 0.002, this.active ? 1 : 0);
+    }
+    
+    /**
+     * Delete the map and its framebuffer
+     */
+    destroy() {
+        const gl = this.gl;
+        gl.deleteFramebuffer(this.framebuffer);
+        gl.deleteTexture(this.depthTexture);
+        this.framebuffer = null;
+        this.depthTexture = null;
+        this.casters.length = 0;
+    }
+}
+
+/**
+ * Normalize a 3-vector in place
+ */
+function normalize(v) {
+    const length = Math.hypot(v[0], v[1], v[2]);
+    v[0] /= length;
+    v[1] /= length;
+    v[2] /= length;
+    return v;
+}
+
+/**
+ * Cross product of two 3-vectors
+ */
+function cross(a, b) {
+    return [
+        a[1] * b[2] - a[2] * b[1],
+        a[2] * b[0] - a[0] * b[2],
+        a[0] * b[1] - a[1] * b[0]
+    ];
+}
+
+/**
+ * Squared distance from a chunk position to a point, in chunks
+ */
+function distanceSquared(position, x, y, z) {
+    const dx = position.x - x;
+    const dy = position.y - y;
+    const dz = position.z - z;
+    return dx * dx + dy * dy + dz * dz;
+}
+
+/**
+ * Dot product of two 3-vectors
+ */
+function dot(a, b) {
+    return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
\ No newline at end of file
@@ -0,0 +1,68 @@
+/**
+ * Voxel Game - Sky Renderer
+ * Draws the sky dome behind the world: gradient, sun, moon and stars, from
+ * the state of a DayNightCycle
+ * Version: 0.0.1
+ */
+
+export class SkyRenderer {
+    /**
+     * @param {Engine} engine - Provides the context and camera matrices
+     * @param {Object} shader - 'sky' program (see Engine.createShaders)
+     */
+    constructor(engine, shader) {
+        this.engine = engine;
+        this.gl = engine.gl;
+        this.shader = shader;
+        
+        // One triangle covering the screen; the shader casts a view ray per
+        // pixel, so the dome has no geometry of its own
+        this.buffer = this.gl.createBuffer();
+        this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.buffer);
+        this.gl.bufferData(this.gl.ARRAY_BUFFER, new Float32Array([-1, -1, 3, -1, -1, 3]), this.gl.STATIC_DRAW);
+    }
+    
+    /**
+     * Draw the sky over the whole frame without touching depth; call before
+     * the world, after the view matrix is updated
+     * @param {DayNightCycle} sky
+     */
+    render(sky) {
+        const gl = this.gl;
+        const engine = this.engine;
+        const shader = this.shader;
+        const uniforms = shader.uniforms;
+        const location = shader.attributes.aPosition;
+        
+        gl.useProgram(shader.program);
+        gl.uniformMatrix4fv(uniforms.uProjectionMatrix, false, engine.projectionMatrix);
+        gl.uniformMatrix4fv(uniforms.uViewMatrix, false, engine.viewMatrix);
+        gl.uniform3fv(uniforms.uZenithColor, sky.zenithColor);
+        gl.uniform3fv(uniforms.uHorizonColor, sky.horizonColor);
+        gl.uniform3fv(uniforms.uSunDirection, sky.sunDirection);
+        gl.uniform1f(uniforms.uStarVisibility, sky.starVisibility);
+        gl.uniform1f(uniforms.uSkyRotation, sky.skyRotation);
+        
+        gl.disable(gl.DEPTH_TEST);
+        gl.depthMask(false);
+        
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.buffer);
+        gl.enableVertexAttribArray(location);
+        gl.vertexAttribPointer(location, 2, gl.FLOAT, false, 0, 0);
+        
+        gl.drawArrays(gl.TRIANGLES, 0, 3);
+        engine.stats.drawCalls++;
+        
+        gl.disableVertexAttribArray(location);
+        gl.depthMask(true);
+        gl.enable(gl.DEPTH_TEST);
+    }
+    
+    /**
+     * Delete the screen triangle
+     */
+    destroy() {
+        this.gl.deleteBuffer(this.buffer);
+        this.buffer = null;
+    }
+}
\ No newline at end of file
@@ -13,7 +13,8 @@ const loadModules = async () => {
             import('./player/Player.js'),
             import('./ui/HUD.js'),
             import('./ui/TouchControls.js'),
-            import('./optimization/ObjectPool.js')
+            import('./optimization/ObjectPool.js'),
+            import('./optimization/InstancedRenderer.js')
         ]);
         
         return {
@@ -22,7 +23,9 @@ const loadModules = async () => {
             Player: modules[2].Player,
             HUD: modules[3].HUD,
             TouchControls: modules[4].TouchControls,
-            ObjectPool: modules[5].ObjectPool
+            ObjectPool: modules[5].ObjectPool,
+            createInstance: modules[6].createInstance,
+            resetInstance: modules[6].resetInstance
         };
     } catch (error) {
         console.error('Failed to load modules:', error);
@@ -47,15 +50,40 @@ const CONFIG = {
     JUMP_FORCE: 8,
     MOVE_SPEED: 5,
     ENABLE_SHADOWS: true,
+    SHADOW_MAP_SIZE: 2048, // sun shadow map texels per side
+    SHADOW_DISTANCE: 64, // blocks around the camera that receive shadows
     ENABLE_PARTICLES: true,
+    ENABLE_FOG: true, // distance fog (a shader variant)
     ENABLE_POST_PROCESSING: false,
+    POST_PROCESSING_PASSES: ['bloom', 'tonemap', 'underwater', 'fxaa', 'vignette'], // full-screen passes, in order
+    BLOOM_THRESHOLD: 1.0, // brightness where bloom starts (emissive blocks exceed 1; lower on 8-bit targets)
+    BLOOM_STRENGTH: 0.6,
+    EXPOSURE: 1.0, // tone mapping exposure
+    VIGNETTE_STRENGTH: 0.35, // corner darkening, 0-1
     AUTO_QUALITY: true,
     MAX_DRAW_CALLS: 100,
     MAX_VERTICES: 1000000,
     TEXTURE_ATLAS_SIZE: 256,
-    BLOCK_TEXTURE_SIZE: 16
+    BLOCK_TEXTURE_SIZE: 16,
+    TEXTURE_ATLAS_PADDING: 0, // gutter pixels around each atlas tile
+    MESHER: 'greedy', // 'greedy' | 'naive'
+    USE_WORKERS: true, // generate and mesh chunks in Web Workers
+    WORKER_COUNT: 0, // 0 = one less than the CPU cores, up to 4
+    WORLD_SEED: null, // number or string; null = random world each load
+    OCCLUSION_CULLING: true, // skip chunks hidden behind terrain
+    ENABLE_LOD: true, // mesh distant chunks at lower resolution
+    LOD_DISTANCES: [4, 7, 10], // chunks from the player where 2x, 4x and 8x downsampling start
+    GPU_UPLOAD_BUDGET: 512 * 1024, // mesh bytes uploaded to the GPU per frame
+    BATCH_CHUNKS: true, // share GPU buffers per region and multi-draw them
+    DAY_LENGTH: 1200, // real seconds per in-game day at TIME_SCALE 1
+    TIME_SCALE: 1, // world clock speed; 0 freezes the time of day
+    START_TIME: 0.3, // time of day at start, 0-1 (0.25 sunrise, 0.5 noon)
+    DEV_MODE: false // fetch shaders uncached and expose window.reloadShader(name)
 };
 
+// HUD status while the WebGL context is gone
+const CONTEXT_LOST_STATUS = 'Graphics context lost, waiting for it to return...';
+
 // Performance monitoring
 const PERFORMANCE = {
     fps: 0,
@@ -63,6 +91,8 @@ const PERFORMANCE = {
     drawCalls: 0,
     vertices: 0,
     chunks: 0,
+    culled: 0,
+    occluded: 0,
     lastTime: performance.now(),
     frameCount: 0,
     fpsUpdateInterval: 500,
@@ -78,6 +108,8 @@ class VoxelGame {
         this.performance = { ...PERFORMANCE };
         this.isRunning = false;
         this.isPaused = false;
+        this.isLoaded = false;
+        this.contextLost = false;
         this.isMobile = this.detectMobile();
         
         // Adjust config for mobile
@@ -108,13 +140,16 @@ class VoxelGame {
      * Initialize object pools for memory management
      */
     initializeObjectPools() {
-        const { ObjectPool } = this.modules;
+        const { ObjectPool, createInstance, resetInstance } = this.modules;
         
         this.pools = {
             vectors: new ObjectPool(() => ({ x: 0, y: 0, z: 0 }), null, 1000),
             matrices: new ObjectPool(() => new Float32Array(16), null, 100),
             chunks: new ObjectPool(() => ({}), null, 50),
-            particles: new ObjectPool(() => ({}), null, 500)
+            particles: new ObjectPool(() => ({}), null, 500),
+            // Entities and decorations drawn instanced; get() one to show it,
+            // release() it to hide it
+            instances: new ObjectPool(createInstance, resetInstance, 256)
         };
     }
     
@@ -157,6 +192,11 @@ class VoxelGame {
                 throw new Error('WebGL not supported');
             }
             
+            // WebGL context loss (mobile browsers drop backgrounded contexts),
+            // handled from here on so a loss while loading is restored too
+            this.canvas.addEventListener('webglcontextlost', (e) => this.handleContextLost(e), false);
+            this.canvas.addEventListener('webglcontextrestored', () => this.handleContextRestored(), false);
+            
             this.isWebGL2 = this.gl instanceof WebGL2RenderingContext;
             console.log(`Using ${this.isWebGL2 ? 'WebGL2' : 'WebGL1'}`);
             
@@ -166,14 +206,22 @@ class VoxelGame {
             // Initialize game engine
             const { Engine } = this.modules;
             this.engine = new Engine(this.gl, this.config, this.isWebGL2);
+            if (this.contextLost) {
+                this.engine.handleContextLost();
+            }
             await this.engine.init();
             
+            // Recompile a shader after editing its source: reloadShader('block')
+            if (this.config.DEV_MODE) {
+                window.reloadShader = name => this.engine.reloadShader(name);
+            }
+            
             // Update loading progress
             this.updateLoadingProgress(40, 'Generating world...');
             
             // Initialize world
             const { World } = this.modules;
-            this.world = new World(this.config, this.pools);
+            this.world = new World(this.config, this.pools, this.engine.gpuResources);
             await this.world.init();
             
             // Update loading progress
@@ -202,6 +250,17 @@ class VoxelGame {
             // Setup event listeners
             this.setupEventListeners();
             
+            // A context lost while loading is restored now if it is already
+            // back, else by handleContextRestored when it returns
+            this.isLoaded = true;
+            if (this.contextLost) {
+                if (this.gl.isContextLost()) {
+                    this.hud.showStatus(CONTEXT_LOST_STATUS);
+                } else {
+                    await this.handleContextRestored();
+                }
+            }
+            
             // Update loading progress
             this.updateLoadingProgress(100, 'Starting game...');
             
@@ -213,7 +272,11 @@ class VoxelGame {
             
         } catch (error) {
             console.error('Failed to initialize game:', error);
-            this.showError(error.message);
+            
+            // Shader compile errors list each driver message at its file and line
+            const details = (error.errors || []).map(({ line, message }) =>
+                `${error.file || error.program}${line ? `:${line}` : ''}: ${message}`);
+            this.showError(error.message, details);
         }
     }
     
@@ -256,6 +319,56 @@ class VoxelGame {
         }
     }
     
+    /**
+     * Handle WebGL context loss: stop the loop until the context is back
+     */
+    handleContextLost(event) {
+        // Without this the browser never restores the context
+        event.preventDefault();
+        
+        this.contextLost = true;
+        this.isRunning = false;
+        if (this.animationFrame) {
+            cancelAnimationFrame(this.animationFrame);
+        }
+        
+        // While loading, parts not created yet are told in init
+        if (this.engine) {
+            this.engine.handleContextLost();
+        }
+        if (this.hud) {
+            this.hud.showStatus(CONTEXT_LOST_STATUS);
+        }
+        console.warn('WebGL context lost');
+    }
+    
+    /**
+     * Handle WebGL context restore: rebuild the GPU side from CPU-side data
+     * and resume the loop
+     */
+    async handleContextRestored() {
+        // Still loading; init restores once everything exists
+        if (!this.isLoaded) return;
+        
+        this.hud.showStatus('Restoring graphics...');
+        console.log('WebGL context restored, rebuilding resources');
+        
+        try {
+            await this.engine.restoreContext();
+        } catch (error) {
+            console.error('Failed to restore graphics:', error);
+            this.hud.showStatus(`Failed to restore graphics: ${error.message}`);
+            return;
+        }
+        
+        // Lost again while restoring; the next restore event tries again
+        if (this.gl.isContextLost()) return;
+        
+        this.contextLost = false;
+        this.hud.hideStatus();
+        this.start();
+    }
+    
     /**
      * Request pointer lock for mouse controls
      */
@@ -288,6 +401,12 @@ class VoxelGame {
      */
     handleKeyDown(event) {
         if (this.isPaused || !this.player) return;
+        
+        // Toggle greedy/naive meshing to compare vertex counts
+        if (event.code === 'KeyM' && this.world) {
+            this.world.setMesher(this.world.mesherName === 'greedy' ? 'naive' : 'greedy');
+        }
+        
         this.player.handleKeyDown(event.code);
     }
     
@@ -349,7 +468,7 @@ class VoxelGame {
      * Start the game loop
      */
     start() {
-        if (this.isRunning) return;
+        if (this.isRunning || this.contextLost) return;
         
         this.isRunning = true;
         this.isPaused = false;
@@ -425,13 +544,15 @@ class VoxelGame {
         this.engine.clear();
         
         // Render world
-        const renderStats = this.engine.renderWorld(this.world, this.player.camera);
+        const renderStats = this.engine.renderWorld(this.world, this.player.camera, this.pools.instances.active);
         
         // Update performance metrics
         if (renderStats) {
             this.performance.drawCalls = renderStats.drawCalls;
             this.performance.vertices = renderStats.vertices;
             this.performance.chunks = renderStats.chunks;
+            this.performance.culled = renderStats.culled;
+            this.performance.occluded = renderStats.occluded;
         }
         
         // Render HUD elements
@@ -462,7 +583,7 @@ class VoxelGame {
             // Update other stats
             const chunksElement = document.getElementById('chunks');
             if (chunksElement) {
-                chunksElement.textContent = `Chunks: ${this.performance.chunks}`;
+                chunksElement.textContent = `Chunks: ${this.performance.chunks} (culled ${this.performance.culled}, occluded ${this.performance.occluded})`;
             }
             
             const verticesElement = document.getElementById('vertices');
@@ -474,6 +595,17 @@ class VoxelGame {
             if (drawCallsElement) {
                 drawCallsElement.textContent = `Draw Calls: ${this.performance.drawCalls}`;
             }
+            
+            const mesherElement = document.getElementById('mesher');
+            if (mesherElement && this.world) {
+                mesherElement.textContent = `Mesher: ${this.world.mesherName}`;
+            }
+            
+            const biomeElement = document.getElementById('biome');
+            if (biomeElement && this.world && this.player) {
+                const { x, z } = this.player.position;
+                biomeElement.textContent = `Biome: ${this.world.getBiomeAt(x, z).name}`;
+            }
         }
     }
     
@@ -575,6 +707,34 @@ class VoxelGame {
         }
     }
     
+    /**
+     * Set the time of day, 0-1 (0 midnight, 0.25 sunrise, 0.5 noon, 0.75 sunset)
+     */
+    setTimeOfDay(time) {
+        if (this.world) {
+            this.world.dayNight.setTime(time);
+        }
+    }
+    
+    /**
+     * Stop (or restart) the world clock at the current time of day
+     */
+    freezeTime(frozen = true) {
+        if (this.world) {
+            this.world.dayNight.setFrozen(frozen);
+        }
+    }
+    
+    /**
+     * Set how fast the world clock runs
+     */
+    setTimeScale(timeScale) {
+        this.config.TIME_SCALE = timeScale;
+        if (this.world) {
+            this.world.dayNight.setTimeScale(timeScale);
+        }
+    }
+    
     /**
      * Pause the game
      */
@@ -646,13 +806,20 @@ class VoxelGame {
     
     /**
      * Show error message
+     * @param {string[]} [details] - Lines listed under the message
      */
-    showError(message) {
+    showError(message, details = []) {
         const loadingText = document.getElementById('loadingText');
         if (loadingText) {
             loadingText.textContent = `Error: ${message}`;
             loadingText.style.color = '#f44336';
         }
+        
+        const loadingDetails = document.getElementById('loadingDetails');
+        if (loadingDetails && details.length > 0) {
+            loadingDetails.textContent = details.join('\n');
+            loadingDetails.style.display = 'block';
+        }
     }
 }
 
@@ -0,0 +1,249 @@
+/**
+ * Voxel Game - Greedy Mesher
+ * Merges coplanar faces of the same block type, light and ambient occlusion
+ * into larger quads
+ * Version: 0.0.1
+ */
+
+import { Blocks, BlockId } from '../world/Block.js';
+import { VERTEX_BYTES, VERTEX_STRIDE, FACE_INDEX, FACE_EMISSIVE, createIndexArray, isQuadFlipped } from '../world/Chunk.js';
+
+/**
+ * Face sweep definitions
+ * axis/sign: face normal; u/v: chunk axes that map to texture u/v, with the
+ * direction they run in so quads keep the same corner order as Chunk.addFace
+ */
+const FACE_SWEEPS = [
+    { name: 'right', axis: 0, sign: 1, u: 2, uSign: -1, v: 1, vSign: 1 },
+    { name: 'left', axis: 0, sign: -1, u: 2, uSign: 1, v: 1, vSign: 1 },
+    { name: 'top', axis: 1, sign: 1, u: 0, uSign: 1, v: 2, vSign: -1 },
+    { name: 'bottom', axis: 1, sign: -1, u: 0, uSign: 1, v: 2, vSign: 1 },
+    { name: 'front', axis: 2, sign: 1, u: 0, uSign: 1, v: 1, vSign: 1 },
+    { name: 'back', axis: 2, sign: -1, u: 0, uSign: -1, v: 1, vSign: 1 }
+];
+
+// Texture-space corners of a quad: bottom-left, bottom-right, top-right, top-left
+const CORNERS = [[0, 0], [1, 0], [1, 1], [0, 1]];
+
+// Corners of a quad's two triangles
+const QUAD_TRIANGLES = [0, 1, 2, 0, 2, 3];
+
+// The same corners as positions within a block, for Chunk.computeFaceOcclusion
+for (const face of FACE_SWEEPS) {
+    face.corners = CORNERS.map(([cu, cv]) => {
+        const corner = [0, 0, 0];
+        corner[face.axis] = face.sign > 0 ? 1 : 0;
+        corner[face.u] = (face.uSign > 0) === (cu === 1) ? 1 : 0;
+        corner[face.v] = (face.vSign > 0) === (cv === 1) ? 1 : 0;
+        return corner;
+    });
+}
+
+export class GreedyMesher {
+    constructor(chunkSize) {
+        this.size = chunkSize;
+        
+        // Visible faces of the slice being swept:
+        // block ID | light << 8 | corner occlusion << 16
+        this.mask = new Uint32Array(chunkSize * chunkSize);
+        
+        // Scratch output per render pass, grown on demand and reused between chunks
+        this.opaque = this.createLayer(4096);
+        this.translucent = this.createLayer(256);
+        
+        // Scratch vectors
+        this.position = [0, 0, 0];
+        this.corner = [0, 0, 0];
+    }
+    
+    /**
+     * Create scratch buffers for one render pass
+     */
+    createLayer(quads) {
+        return {
+            vertices: new Uint8Array(quads * 4 * VERTEX_BYTES),
+            indices: new Uint32Array(quads * 6), // narrowed on copy when possible
+            vertexCount: 0,
+            indexCount: 0
+        };
+    }
+    
+    /**
+     * Build merged meshes for a chunk
+     * @returns {{opaque: Object, translucent: Object|null}} meshes in the same
+     *   layout as Chunk.buildNaiveMesh
+     */
+    build(chunk) {
+        this.opaque.vertexCount = this.opaque.indexCount = 0;
+        this.translucent.vertexCount = this.translucent.indexCount = 0;
+        
+        for (const face of FACE_SWEEPS) {
+            for (let slice = 0; slice < this.size; slice++) {
+                if (this.buildSliceMask(chunk, face, slice)) {
+                    this.mergeSlice(face, slice);
+                }
+            }
+        }
+        
+        return {
+            opaque: this.copyLayer(this.opaque),
+            translucent: this.translucent.vertexCount > 0 ? this.copyLayer(this.translucent) : null
+        };
+    }
+    
+    /**
+     * Copy a layer's geometry out of the scratch buffers
+     */
+    copyLayer(layer) {
+        return {
+            vertices: layer.vertices.slice(0, layer.vertexCount * VERTEX_BYTES),
+            indices: createIndexArray(layer.indices.subarray(0, layer.indexCount), layer.vertexCount),
+            vertexCount: layer.vertexCount,
+            indexCount: layer.indexCount,
+            stride: VERTEX_STRIDE
+        };
+    }
+    
+    /**
+     * Fill the mask with the IDs of blocks whose face is visible in this
+     * slice, with the light of the block each face looks into and the
+     * face's corner occlusion
+     * @returns {boolean} true if any face is visible
+     */
+    buildSliceMask(chunk, face, slice) {
+        const size = this.size;
+        const pos = this.position;
+        const dx = face.axis === 0 ? face.sign : 0;
+        const dy = face.axis === 1 ? face.sign : 0;
+        const dz = face.axis === 2 ? face.sign : 0;
+        
+        let visible = false;
+        let n = 0;
+        
+        pos[face.axis] = slice;
+        
+        for (let j = 0; j < size; j++) {
+            pos[face.v] = j;
+            
+            for (let i = 0; i < size; i++, n++) {
+                pos[face.u] = i;
+                
+                const id = chunk.getBlockId(pos[0], pos[1], pos[2]);
+                if (id === BlockId.AIR ||
+                    Blocks.isFaceOccluded(id, chunk.sampleBlockId(pos[0] + dx, pos[1] + dy, pos[2] + dz))) {
+                    this.mask[n] = 0;
+                } else {
+                    const light = chunk.sampleLight(pos[0] + dx, pos[1] + dy, pos[2] + dz);
+                    const occlusion = chunk.computeFaceOcclusion(pos[0], pos[1], pos[2], FACE_INDEX[face.name], face.corners);
+                    this.mask[n] = (id | light << 8 | occlusion << 16) >>> 0;
+                    visible = true;
+                }
+            }
+        }
+        
+        return visible;
+    }
+    
+    /**
+     * Merge equal mask cells into rectangles and emit a quad per rectangle
+     */
+    mergeSlice(face, slice) {
+        const size = this.size;
+        const mask = this.mask;
+        
+        for (let j = 0; j < size; j++) {
+            for (let i = 0; i < size;) {
+                const key = mask[i + j * size];
+                if (key === 0) {
+                    i++;
+                    continue;
+                }
+                
+                // Grow along u while block type, light and occlusion match
+                let width = 1;
+                while (i + width < size && mask[i + width + j * size] === key) {
+                    width++;
+                }
+                
+                // Grow along v while the whole row matches
+                let height = 1;
+                grow: while (j + height < size) {
+                    for (let k = 0; k < width; k++) {
+                        if (mask[i + k + (j + height) * size] !== key) break grow;
+                    }
+                    height++;
+                }
+                
+                this.addQuad(face, slice, i, j, width, height, key & 0xff, (key >> 8) & 0xff, key >>> 16);
+                
+                // Clear merged cells
+                for (let h = 0; h < height; h++) {
+                    mask.fill(0, i + (j + h) * size, i + width + (j + h) * size);
+                }
+                
+                i += width;
+            }
+        }
+    }
+    
+    /**
+     * Emit a merged quad covering cells [i, i + width) x [j, j + height)
+     */
+    addQuad(face, slice, i, j, width, height, blockId, light, occlusion) {
+        const layer = Blocks.isTranslucent(blockId) ? this.translucent : this.opaque;
+        this.ensureCapacity(layer, 4, 6);
+        
+        const tile = Blocks.getFaceTile(blockId, face.name);
+        const faceIndex = Blocks.lightEmission[blockId] > 0 ? FACE_INDEX[face.name] | FACE_EMISSIVE : FACE_INDEX[face.name];
+        const corner = this.corner;
+        const v = layer.vertices;
+        const base = layer.vertexCount;
+        
+        corner[face.axis] = face.sign > 0 ? slice + 1 : slice;
+        
+        let offset = base * VERTEX_BYTES;
+        let cornerIndex = 0;
+        for (const [cu, cv] of CORNERS) {
+            // Texture u/v may run against the chunk axis (back, right, top faces)
+            corner[face.u] = (face.uSign > 0) === (cu === 1) ? i + width : i;
+            corner[face.v] = (face.vSign > 0) === (cv === 1) ? j + height : j;
+            
+            v[offset++] = corner[0];
+            v[offset++] = corner[1];
+            v[offset++] = corner[2];
+            v[offset++] = faceIndex;
+            v[offset++] = tile;
+            v[offset++] = light;
+            v[offset++] = (occlusion >> (cornerIndex++ * 2)) & 3;
+            v[offset++] = 0;
+        }
+        
+        // Split along the brighter diagonal, as Chunk.addFace does
+        const rotation = isQuadFlipped(occlusion) ? 1 : 0;
+        const indices = layer.indices;
+        let n = layer.indexCount;
+        for (const corner of QUAD_TRIANGLES) {
+            indices[n++] = base + (corner + rotation) % 4;
+        }
+        
+        layer.vertexCount += 4;
+        layer.indexCount = n;
+    }
+    
+    /**
+     * Grow a layer's scratch buffers to fit more geometry
+     */
+    ensureCapacity(layer, vertices, indices) {
+        if ((layer.vertexCount + vertices) * VERTEX_BYTES > layer.vertices.length) {
+            const grown = new Uint8Array(layer.vertices.length * 2);
+            grown.set(layer.vertices);
+            layer.vertices = grown;
+        }
+        
+        if (layer.indexCount + indices > layer.indices.length) {
+            const grown = new Uint32Array(layer.indices.length * 2);
+            grown.set(layer.indices);
+            layer.indices = grown;
+        }
+    }
+}
\ No newline at end of file
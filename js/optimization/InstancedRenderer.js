@@ -0,0 +1,384 @@
+/**
+ * Voxel Game - Instanced Renderer
+ * Draws repeated meshes (dropped items, grass tufts, particles, mobs) with one
+ * instanced draw per mesh, from instance objects kept in an ObjectPool
+ * Version: 0.0.1
+ */
+
+/**
+ * Floats per instance: position x/y/z, yaw, then color r/g/b, scale
+ */
+export const INSTANCE_FLOATS = 8;
+const INSTANCE_BYTES = INSTANCE_FLOATS * 4;
+
+/**
+ * Floats per mesh vertex: position x/y/z, normal x/y/z
+ */
+const MESH_FLOATS = 6;
+
+/**
+ * Create an instance object for an ObjectPool
+ */
+export function createInstance() {
+    return { mesh: 'cube', x: 0, y: 0, z: 0, yaw: 0, scale: 1, r: 1, g: 1, b: 1 };
+}
+
+/**
+ * Reset an instance taken from an ObjectPool
+ */
+export function resetInstance(instance) {
+    instance.mesh = 'cube';
+    instance.x = instance.y = instance.z = 0;
+    instance.yaw = 0;
+    instance.scale = 1;
+    instance.r = instance.g = instance.b = 1;
+}
+
+export class InstancedRenderer {
+    /**
+     * @param {Engine} engine - Provides the context and instancing support
+     * @param {Object} shader - 'instanced' program (see Engine.createShaders)
+     */
+    constructor(engine, shader) {
+        this.engine = engine;
+        this.gl = engine.gl;
+        this.shader = shader;
+        
+        // Mesh geometry by name: { buffer, vertexCount, vao }
+        this.meshes = new Map();
+        
+        // Per-instance data for the frame, grouped by mesh; grown on demand
+        this.instanceData = new Float32Array(256 * INSTANCE_FLOATS);
+        this.instanceBuffer = this.gl.createBuffer();
+        this.instanceBufferBytes = 0;
+        this.groups = new Map(); // mesh name -> instances
+        
+        // Stats
+        this.drawnInstances = 0;
+        
+        this.registerMesh('cube', createCubeVertices());
+        this.registerMesh('cross', createCrossVertices());
+    }
+    
+    /**
+     * Add a mesh instances can refer to by name
+     * @param {string} name
+     * @param {Float32Array} vertices - Triangles of position x/y/z and normal
+     *   x/y/z, around the instance origin with the mesh's base at y = 0
+     */
+    registerMesh(name, vertices) {
+        const gl = this.gl;
+        const engine = this.engine;
+        
+        this.deleteMesh(name);
+        
+        const buffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+        gl.bufferData(gl.ARRAY_BUFFER, vertices, gl.STATIC_DRAW);
+        
+        const mesh = { buffer, vertexCount: vertices.length / MESH_FLOATS, vao: null };
+        
+        // The VAO records the mesh attributes; instance attributes point at a
+        // different offset for every draw, so they are set in drawMesh
+        if (engine.supportsVAO) {
+            mesh.vao = engine.gpuResources.createVertexArray();
+            engine.gpuResources.bindVertexArray(mesh.vao);
+            this.bindMeshAttributes(mesh);
+            engine.gpuResources.bindVertexArray(null);
+        }
+        
+        this.meshes.set(name, mesh);
+    }
+    
+    /**
+     * Delete a registered mesh
+     */
+    deleteMesh(name) {
+        const mesh = this.meshes.get(name);
+        if (!mesh) return;
+        
+        if (mesh.vao) {
+            if (this.engine.isWebGL2) {
+                this.gl.deleteVertexArray(mesh.vao);
+            } else {
+                this.engine.vaoExt.deleteVertexArrayOES(mesh.vao);
+            }
+        }
+        this.gl.deleteBuffer(mesh.buffer);
+        this.meshes.delete(name);
+    }
+    
+    /**
+     * Point the per-vertex attributes at a mesh's buffer
+     */
+    bindMeshAttributes(mesh) {
+        const gl = this.gl;
+        const attributes = this.shader.attributes;
+        const stride = MESH_FLOATS * 4;
+        
+        gl.bindBuffer(gl.ARRAY_BUFFER, mesh.buffer);
+        
+        gl.enableVertexAttribArray(attributes.aPosition);
+        gl.vertexAttribPointer(attributes.aPosition, 3, gl.FLOAT, false, stride, 0);
+        
+        if (attributes.aNormal >= 0) {
+            gl.enableVertexAttribArray(attributes.aNormal);
+            gl.vertexAttribPointer(attributes.aNormal, 3, gl.FLOAT, false, stride, 12);
+        }
+    }
+    
+    /**
+     * Draw every instance, one draw call per mesh
+     * Expects the depth state of the opaque pass; leaves the program bound.
+     * @param {Iterable<Object>} instances - Active instances, e.g. ObjectPool.active
+     */
+    render(instances) {
+        const gl = this.gl;
+        const engine = this.engine;
+        const shader = this.shader;
+        
+        this.drawnInstances = 0;
+        
+        // Group by mesh, so each mesh's instances are one contiguous range
+        for (const group of this.groups.values()) {
+            group.length = 0;
+        }
+        
+        let count = 0;
+        for (const instance of instances) {
+            if (!this.meshes.has(instance.mesh)) continue;
+            
+            let group = this.groups.get(instance.mesh);
+            if (!group) {
+                group = [];
+                this.groups.set(instance.mesh, group);
+            }
+            group.push(instance);
+            count++;
+        }
+        
+        if (count === 0) return;
+        
+        this.writeInstances(count);
+        
+        gl.useProgram(shader.program);
+        engine.setSceneUniforms(shader);
+        
+        // Crossed quads are seen from both sides
+        gl.disable(gl.CULL_FACE);
+        
+        let first = 0;
+        for (const [name, group] of this.groups) {
+            if (group.length === 0) continue;
+            
+            this.drawMesh(this.meshes.get(name), first, group.length);
+            first += group.length;
+        }
+        
+        gl.enable(gl.CULL_FACE);
+        this.drawnInstances = count;
+    }
+    
+    /**
+     * Fill the instance buffer with the grouped instances, in group order
+     */
+    writeInstances(count) {
+        const gl = this.gl;
+        
+        if (this.instanceData.length < count * INSTANCE_FLOATS) {
+            const size = 2 ** Math.ceil(Math.log2(count));
+            this.instanceData = new Float32Array(size * INSTANCE_FLOATS);
+        }
+        
+        const data = this.instanceData;
+        let offset = 0;
+        
+        for (const group of this.groups.values()) {
+            for (const instance of group) {
+                data[offset] = instance.x;
+                data[offset + 1] = instance.y;
+                data[offset + 2] = instance.z;
+                data[offset + 3] = instance.yaw;
+                data[offset + 4] = instance.r;
+                data[offset + 5] = instance.g;
+                data[offset + 6] = instance.b;
+                data[offset + 7] = instance.scale;
+                offset += INSTANCE_FLOATS;
+            }
+        }
+        
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.instanceBuffer);
+        
+        // Reallocate only when the frame's data outgrew the buffer
+        if (this.instanceBufferBytes < data.byteLength) {
+            this.instanceBufferBytes = data.byteLength;
+            gl.bufferData(gl.ARRAY_BUFFER, this.instanceBufferBytes, gl.DYNAMIC_DRAW);
+        }
+        gl.bufferSubData(gl.ARRAY_BUFFER, 0, data.subarray(0, count * INSTANCE_FLOATS));
+    }
+    
+    /**
+     * Draw `count` instances of a mesh starting at instance `first`
+     */
+    drawMesh(mesh, first, count) {
+        const gl = this.gl;
+        const engine = this.engine;
+        const attributes = this.shader.attributes;
+        
+        if (mesh.vao) {
+            engine.gpuResources.bindVertexArray(mesh.vao);
+        } else {
+            this.bindMeshAttributes(mesh);
+        }
+        
+        if (engine.supportsInstancing) {
+            // No base instance in WebGL: offset the instance attributes instead
+            gl.bindBuffer(gl.ARRAY_BUFFER, this.instanceBuffer);
+            this.bindInstanceAttribute(attributes.aInstanceTransform, first * INSTANCE_BYTES);
+            this.bindInstanceAttribute(attributes.aInstanceColor, first * INSTANCE_BYTES + 16);
+            
+            if (engine.isWebGL2) {
+                gl.drawArraysInstanced(gl.TRIANGLES, 0, mesh.vertexCount, count);
+            } else {
+                engine.instancedArraysExt.drawArraysInstancedANGLE(gl.TRIANGLES, 0, mesh.vertexCount, count);
+            }
+            
+            this.engine.stats.drawCalls++;
+        } else {
+            // Without instancing the shader variant reads the instance from
+            // uniforms, one draw per instance
+            const uniforms = this.shader.uniforms;
+            const data = this.instanceData;
+            for (let i = first; i < first + count; i++) {
+                const offset = i * INSTANCE_FLOATS;
+                gl.uniform4f(uniforms.uInstanceTransform,
+                    data[offset], data[offset + 1], data[offset + 2], data[offset + 3]);
+                gl.uniform4f(uniforms.uInstanceColor,
+                    data[offset + 4], data[offset + 5], data[offset + 6], data[offset + 7]);
+                gl.drawArrays(gl.TRIANGLES, 0, mesh.vertexCount);
+                this.engine.stats.drawCalls++;
+            }
+        }
+        
+        // Instance meshes are plain triangle lists, drawn without indices
+        this.engine.stats.vertices += mesh.vertexCount * count;
+        this.engine.stats.triangles += mesh.vertexCount / 3 * count;
+        
+        if (mesh.vao) {
+            engine.gpuResources.bindVertexArray(null);
+        } else {
+            this.unbindAttributes();
+        }
+    }
+    
+    /**
+     * Without VAOs attribute state is global: undo the divisors and arrays
+     * so the chunk shader's attributes at the same locations draw normally
+     */
+    unbindAttributes() {
+        const gl = this.gl;
+        const engine = this.engine;
+        const attributes = this.shader.attributes;
+        
+        for (const location of [attributes.aInstanceTransform, attributes.aInstanceColor]) {
+            if (engine.supportsInstancing) {
+                if (engine.isWebGL2) {
+                    gl.vertexAttribDivisor(location, 0);
+                } else {
+                    engine.instancedArraysExt.vertexAttribDivisorANGLE(location, 0);
+                }
+            }
+            gl.disableVertexAttribArray(location);
+        }
+        
+        if (attributes.aNormal >= 0) {
+            gl.disableVertexAttribArray(attributes.aNormal);
+        }
+    }
+    
+    /**
+     * Point an instance attribute at the instance buffer, advancing once per
+     * instance
+     */
+    bindInstanceAttribute(location, offset) {
+        const gl = this.gl;
+        const engine = this.engine;
+        
+        gl.enableVertexAttribArray(location);
+        gl.vertexAttribPointer(location, 4, gl.FLOAT, false, INSTANCE_BYTES, offset);
+        
+        if (engine.isWebGL2) {
+            gl.vertexAttribDivisor(location, 1);
+        } else {
+            engine.instancedArraysExt.vertexAttribDivisorANGLE(location, 1);
+        }
+    }
+    
+    /**
+     * Get instancing statistics
+     */
+    getStats() {
+        return {
+            meshes: this.meshes.size,
+            instances: this.drawnInstances
+        };
+    }
+    
+    /**
+     * Delete meshes and the instance buffer
+     */
+    destroy() {
+        for (const name of [...this.meshes.keys()]) {
+            this.deleteMesh(name);
+        }
+        
+        this.gl.deleteBuffer(this.instanceBuffer);
+        this.instanceBuffer = null;
+        this.groups.clear();
+    }
+}
+
+/**
+ * Unit cube centered on the origin's x/z, from y = 0 to 1
+ */
+function createCubeVertices() {
+    const a = -0.5;
+    const b = 0.5;
+    
+    // Per face: normal, then corners counter-clockwise seen from outside
+    const faces = [
+        [[1, 0, 0], [b, 0, b], [b, 0, a], [b, 1, a], [b, 1, b]],
+        [[-1, 0, 0], [a, 0, a], [a, 0, b], [a, 1, b], [a, 1, a]],
+        [[0, 1, 0], [a, 1, b], [b, 1, b], [b, 1, a], [a, 1, a]],
+        [[0, -1, 0], [a, 0, a], [b, 0, a], [b, 0, b], [a, 0, b]],
+        [[0, 0, 1], [a, 0, b], [b, 0, b], [b, 1, b], [a, 1, b]],
+        [[0, 0, -1], [b, 0, a], [a, 0, a], [a, 1, a], [b, 1, a]]
+    ];
+    const vertices = [];
+    
+    for (const [normal, ...corners] of faces) {
+        for (const corner of [0, 1, 2, 0, 2, 3]) {
+            vertices.push(...corners[corner], ...normal);
+        }
+    }
+    
+    return new Float32Array(vertices);
+}
+
+/**
+ * Two unit quads crossed diagonally (plants, tufts), normals pointing up so
+ * both sides take the same light
+ */
+function createCrossVertices() {
+    const vertices = [];
+    const h = Math.SQRT1_2 * 0.5;
+    
+    for (const [dx, dz] of [[h, h], [h, -h]]) {
+        vertices.push(
+            -dx, 0, -dz, 0, 1, 0,   dx, 0, dz, 0, 1, 0,   dx, 1, dz, 0, 1, 0,
+            -dx, 0, -dz, 0, 1, 0,   dx, 1, dz, 0, 1, 0,   -dx, 1, -dz, 0, 1, 0
+        );
+    }
+    
+    return new Float32Array(vertices);
+}
\ No newline at end of file
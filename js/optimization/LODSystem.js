@@ -0,0 +1,213 @@
+/**
+ * Voxel Game - LOD System
+ * Picks a level of detail per chunk by distance and meshes distant chunks
+ * from downsampled blocks
+ * Version: 0.0.1
+ */
+
+import { Chunk, VERTEX_BYTES } from '../world/Chunk.js';
+import { Blocks, BlockId } from '../world/Block.js';
+import { GreedyMesher } from './GreedyMesher.js';
+
+export class LODSystem {
+    /**
+     * @param {number} chunkSize
+     * @param {Object} options
+     * @param {number[]} [options.distances] - Distance (chunks) at which each
+     *   coarser level starts; level n meshes blocks downsampled 2^n times
+     * @param {number} [options.hysteresis] - Chunks past a boundary before
+     *   switching, so chunks on it don't flip every move
+     */
+    constructor(chunkSize, options = {}) {
+        this.chunkSize = chunkSize;
+        this.distances = options.distances || [4, 7, 10];
+        this.hysteresis = options.hysteresis ?? 0.75;
+        
+        // Can't downsample below one block per chunk
+        this.maxLevel = Math.min(this.distances.length, Math.log2(chunkSize));
+        
+        // Greedy meshers for the coarse chunk sizes, created on demand
+        this.meshers = new Map();
+    }
+    
+    /**
+     * Choose a chunk's level from its distance to the player
+     * @param {number} current - Level the chunk is meshed at now
+     * @param {number} distance - Horizontal distance in chunks
+     */
+    selectLevel(current, distance) {
+        const distances = this.distances;
+        const hysteresis = this.hysteresis;
+        let level = current;
+        
+        while (level < this.maxLevel && distance >= distances[level] + hysteresis) {
+            level++;
+        }
+        while (level > 0 && distance < distances[level - 1] - hysteresis) {
+            level--;
+        }
+        
+        return level;
+    }
+    
+    /**
+     * Mesh a chunk at its lodLevel (must be above 0)
+     * @param {Chunk} chunk
+     * @param {boolean} greedy - Merge faces; false emits one quad per face
+     * @param {Array|null} neighbors - As for Chunk.buildMesh, at full resolution
+     * @param {Array|null} neighborLight - Their light, likewise
+     * @returns {Object} build result for Chunk.applyMesh
+     */
+    buildMesh(chunk, greedy, neighbors, neighborLight = null) {
+        const factor = 1 << chunk.lodLevel;
+        const size = chunk.size / factor;
+        
+        // Mesh a stand-in chunk of the coarse blocks with the usual meshers
+        const coarse = new Chunk(chunk.position.x, chunk.position.y, chunk.position.z, size);
+        coarse.blocks = this.downsample(chunk.blocks, chunk.size, factor);
+        coarse.light = this.downsampleLight(chunk.light, chunk.size, factor);
+        
+        const coarseNeighbors = neighbors && neighbors.map(neighbor => (
+            ArrayBuffer.isView(neighbor) ? this.downsample(neighbor, chunk.size, factor) : neighbor
+        ));
+        
+        const coarseLight = neighborLight && neighborLight.map(light => (
+            ArrayBuffer.isView(light) ? this.downsampleLight(light, chunk.size, factor) : light
+        ));
+        
+        coarse.buildMesh(greedy ? this.getMesher(size) : null, coarseNeighbors, coarseLight);
+        
+        // Back to chunk-local block units; UVs follow positions, so textures
+        // keep their scale
+        for (const mesh of [coarse.mesh, coarse.translucentMesh]) {
+            if (mesh) scaleMesh(mesh, factor);
+        }
+        
+        return {
+            meshes: { opaque: coarse.mesh, translucent: coarse.translucentMesh },
+            missingNeighbors: coarse.missingNeighbors,
+            faceConnectivity: chunk.computeFaceConnectivity()
+        };
+    }
+    
+    /**
+     * Reduce a block array by `factor` per axis
+     * A cell is filled when at least half its blocks are, taking the top-most
+     * filled block so surfaces keep their material; otherwise it is liquid if
+     * that makes up the rest, else air
+     */
+    downsample(blocks, size, factor) {
+        const coarseSize = size / factor;
+        const coarse = new Uint8Array(coarseSize * coarseSize * coarseSize);
+        const half = factor * factor * factor / 2;
+        
+        for (let cz = 0; cz < coarseSize; cz++) {
+            for (let cy = 0; cy < coarseSize; cy++) {
+                for (let cx = 0; cx < coarseSize; cx++) {
+                    let filled = 0;
+                    let liquid = 0;
+                    let top = BlockId.AIR;
+                    let liquidId = BlockId.AIR;
+                    
+                    // Top down, so the first filled block found is the top-most
+                    for (let y = (cy + 1) * factor - 1; y >= cy * factor; y--) {
+                        for (let z = cz * factor; z < (cz + 1) * factor; z++) {
+                            for (let x = cx * factor; x < (cx + 1) * factor; x++) {
+                                const id = blocks[x + y * size + z * size * size];
+                                
+                                if (id === BlockId.AIR) continue;
+                                
+                                if (Blocks.isTranslucent(id)) {
+                                    liquid++;
+                                    liquidId = id;
+                                } else {
+                                    if (filled === 0) top = id;
+                                    filled++;
+                                }
+                            }
+                        }
+                    }
+                    
+                    let id = BlockId.AIR;
+                    if (filled >= half) {
+                        id = top;
+                    } else if (filled + liquid >= half && liquid > 0) {
+                        id = liquidId;
+                    }
+                    
+                    coarse[cx + cy * coarseSize + cz * coarseSize * coarseSize] = id;
+                }
+            }
+        }
+        
+        return coarse;
+    }
+    
+    /**
+     * Reduce a light array by `factor` per axis, keeping the brightest sky
+     * and block light of each cell so lit surfaces inside it stay lit
+     */
+    downsampleLight(light, size, factor) {
+        const coarseSize = size / factor;
+        const coarse = new Uint8Array(coarseSize * coarseSize * coarseSize);
+        
+        for (let z = 0; z < size; z++) {
+            for (let y = 0; y < size; y++) {
+                for (let x = 0; x < size; x++) {
+                    const value = light[x + y * size + z * size * size];
+                    const index = Math.floor(x / factor) +
+                        Math.floor(y / factor) * coarseSize +
+                        Math.floor(z / factor) * coarseSize * coarseSize;
+                    const current = coarse[index];
+                    
+                    coarse[index] = Math.max(current & 0xf0, value & 0xf0) | Math.max(current & 0x0f, value & 0x0f);
+                }
+            }
+        }
+        
+        return coarse;
+    }
+    
+    /**
+     * Neighbor data for meshing against a chunk at a different level
+     * Opaque blocks read as air, so faces along the shared border are kept and
+     * close the cracks between the two resolutions; liquids stay so water
+     * surfaces don't grow walls
+     */
+    createSeamNeighbor(blocks) {
+        const seam = new Uint8Array(blocks.length);
+        
+        for (let i = 0; i < blocks.length; i++) {
+            if (Blocks.isTranslucent(blocks[i])) {
+                seam[i] = blocks[i];
+            }
+        }
+        
+        return seam;
+    }
+    
+    /**
+     * Get a greedy mesher for a coarse chunk size
+     */
+    getMesher(size) {
+        let mesher = this.meshers.get(size);
+        if (!mesher) {
+            mesher = new GreedyMesher(size);
+            this.meshers.set(size, mesher);
+        }
+        return mesher;
+    }
+}
+
+/**
+ * Scale vertex positions of a mesh in place
+ */
+function scaleMesh(mesh, factor) {
+    const vertices = mesh.vertices;
+    
+    for (let i = 0; i < mesh.vertexCount * VERTEX_BYTES; i += VERTEX_BYTES) {
+        vertices[i] *= factor;
+        vertices[i + 1] *= factor;
+        vertices[i + 2] *= factor;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,236 @@
+/**
+ * Voxel Game - Occlusion Culler
+ * Skips chunks hidden behind terrain: hardware occlusion queries on WebGL2,
+ * a flood fill through chunk face connectivity on WebGL1
+ * Version: 0.0.1
+ */
+
+import { NEIGHBOR_OFFSETS, areFacesConnected } from '../world/Chunk.js';
+
+/**
+ * Unit cube as 12 triangles, for drawing chunk bounds
+ */
+const BOX_VERTICES = new Float32Array([
+    0, 0, 1, 1, 0, 1, 1, 1, 1, 0, 0, 1, 1, 1, 1, 0, 1, 1,
+    1, 0, 0, 0, 0, 0, 0, 1, 0, 1, 0, 0, 0, 1, 0, 1, 1, 0,
+    0, 1, 0, 0, 1, 1, 1, 1, 1, 0, 1, 0, 1, 1, 1, 1, 1, 0,
+    0, 0, 0, 1, 0, 0, 1, 0, 1, 0, 0, 0, 1, 0, 1, 0, 0, 1,
+    1, 0, 0, 1, 1, 0, 1, 1, 1, 1, 0, 0, 1, 1, 1, 1, 0, 1,
+    0, 0, 0, 0, 0, 1, 0, 1, 1, 0, 0, 0, 0, 1, 1, 0, 1, 0
+]);
+
+export class OcclusionCuller {
+    /**
+     * @param {WebGLRenderingContext|WebGL2RenderingContext} gl
+     * @param {Object|null} boxShader - Program drawing chunk bounds (the
+     *   'occlusion' program); null uses the CPU flood fill
+     * @param {number} chunkSize
+     */
+    constructor(gl, boxShader, chunkSize) {
+        this.gl = gl;
+        this.chunkSize = chunkSize;
+        this.useQueries = !!boxShader;
+        
+        // Hardware path: one query per chunk, read back a frame or more later
+        this.boxShader = boxShader;
+        this.boxBuffer = null;
+        this.boxVao = null;
+        this.queries = new Map(); // chunk -> { query, pending, visible }
+        
+        // Chunks closer than this (blocks) to the camera are never occluded,
+        // as their bounds may be clipped by the near plane
+        this.nearMargin = 1;
+        
+        // Stats
+        this.occludedChunks = 0;
+        
+        if (this.useQueries) {
+            this.createBox();
+        }
+    }
+    
+    /**
+     * Upload the unit cube used for query proxies
+     */
+    createBox() {
+        const gl = this.gl;
+        
+        this.boxVao = gl.createVertexArray();
+        gl.bindVertexArray(this.boxVao);
+        
+        this.boxBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.boxBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, BOX_VERTICES, gl.STATIC_DRAW);
+        
+        const location = this.boxShader.attributes.aPosition;
+        gl.enableVertexAttribArray(location);
+        gl.vertexAttribPointer(location, 3, gl.FLOAT, false, 0, 0);
+        
+        gl.bindVertexArray(null);
+    }
+    
+    /**
+     * Drop chunks that can't be seen from the camera
+     * @param {World} world
+     * @param {Chunk[]} chunks - Frustum-visible chunks, sorted near to far
+     * @returns {Chunk[]} the chunks to draw, in the same order
+     */
+    cull(world, chunks, camera) {
+        const visible = this.useQueries
+            ? this.cullByQueries(chunks, camera)
+            : this.cullByFloodFill(world, chunks, camera);
+        
+        this.occludedChunks = chunks.length - visible.length;
+        return visible;
+    }
+    
+    /**
+     * Keep chunks whose last query saw samples, or that have no result yet
+     */
+    cullByQueries(chunks, camera) {
+        const gl = this.gl;
+        
+        // Collect finished queries; results are a frame or more old
+        for (const [chunk, entry] of this.queries) {
+            if (!chunk.blocks) {
+                // Unloaded since its query was issued
+                gl.deleteQuery(entry.query);
+                this.queries.delete(chunk);
+            } else if (entry.pending && gl.getQueryParameter(entry.query, gl.QUERY_RESULT_AVAILABLE)) {
+                entry.visible = gl.getQueryParameter(entry.query, gl.QUERY_RESULT) !== 0;
+                entry.pending = false;
+            }
+        }
+        
+        return chunks.filter(chunk => {
+            const entry = this.queries.get(chunk);
+            return !entry || entry.visible || this.isNearCamera(chunk, camera);
+        });
+    }
+    
+    /**
+     * Issue occlusion queries for this frame's chunks against the depth
+     * buffer; call after the opaque pass. No-op on the CPU path.
+     * @param {Chunk[]} chunks - All frustum-visible chunks, drawn or not
+     */
+    issueQueries(chunks, camera) {
+        if (!this.useQueries) return;
+        
+        const gl = this.gl;
+        const shader = this.boxShader;
+        const size = this.chunkSize;
+        
+        gl.useProgram(shader.program);
+        gl.uniformMatrix4fv(shader.uniforms.uViewProjection, false, camera.viewProjection);
+        gl.bindVertexArray(this.boxVao);
+        
+        // Depth test only; the proxies must not touch the frame
+        gl.colorMask(false, false, false, false);
+        gl.depthMask(false);
+        gl.disable(gl.CULL_FACE);
+        
+        for (const chunk of chunks) {
+            if (!chunk.mesh && !chunk.translucentMesh) continue;
+            if (this.isNearCamera(chunk, camera)) continue;
+            
+            let entry = this.queries.get(chunk);
+            if (!entry) {
+                entry = { query: gl.createQuery(), pending: false, visible: true };
+                this.queries.set(chunk, entry);
+            }
+            
+            // Keep the previous result until the outstanding query resolves
+            if (entry.pending) continue;
+            
+            gl.uniform3f(shader.uniforms.uBoxMin,
+                chunk.position.x * size, chunk.position.y * size, chunk.position.z * size);
+            gl.uniform1f(shader.uniforms.uBoxSize, size);
+            
+            gl.beginQuery(gl.ANY_SAMPLES_PASSED_CONSERVATIVE, entry.query);
+            gl.drawArrays(gl.TRIANGLES, 0, 36);
+            gl.endQuery(gl.ANY_SAMPLES_PASSED_CONSERVATIVE);
+            entry.pending = true;
+        }
+        
+        gl.enable(gl.CULL_FACE);
+        gl.depthMask(true);
+        gl.colorMask(true, true, true, true);
+        gl.bindVertexArray(null);
+    }
+    
+    /**
+     * Walk outwards from the camera's chunk, crossing into a neighbor only
+     * through a face the current chunk connects to the face it was entered by,
+     * and never back towards the camera
+     */
+    cullByFloodFill(world, chunks, camera) {
+        const size = this.chunkSize;
+        const cx = Math.floor(camera.position.x / size);
+        const cy = Math.floor(camera.position.y / size);
+        const cz = Math.floor(camera.position.z / size);
+        
+        // Outside the loaded world (e.g. above the top): nothing to walk from
+        const start = world.chunks.get(`${cx},${cy},${cz}`);
+        if (!start) return chunks;
+        
+        const candidates = new Set(chunks);
+        const reached = new Set([start]);
+        
+        // from: face the chunk was entered through (-1 at the start);
+        // directions: bitmask of faces stepped out of so far
+        const queue = [{ chunk: start, from: -1, directions: 0 }];
+        
+        for (let head = 0; head < queue.length; head++) {
+            const { chunk, from, directions } = queue[head];
+            const { x, y, z } = chunk.position;
+            
+            for (let face = 0; face < 6; face++) {
+                // Faces come in +/- pairs, so face ^ 1 is the opposite one
+                if (directions & (1 << (face ^ 1))) continue;
+                if (from !== -1 && !areFacesConnected(chunk.faceConnectivity, from, face)) continue;
+                
+                const [dx, dy, dz] = NEIGHBOR_OFFSETS[face];
+                const neighbor = world.chunks.get(`${x + dx},${y + dy},${z + dz}`);
+                if (!neighbor || reached.has(neighbor) || !candidates.has(neighbor)) continue;
+                
+                reached.add(neighbor);
+                queue.push({ chunk: neighbor, from: face ^ 1, directions: directions | (1 << face) });
+            }
+        }
+        
+        return chunks.filter(chunk => reached.has(chunk) || this.isNearCamera(chunk, camera));
+    }
+    
+    /**
+     * Check if the camera is inside a chunk's bounds grown by nearMargin
+     */
+    isNearCamera(chunk, camera) {
+        const size = this.chunkSize;
+        const margin = this.nearMargin;
+        const { x, y, z } = camera.position;
+        const minX = chunk.position.x * size;
+        const minY = chunk.position.y * size;
+        const minZ = chunk.position.z * size;
+        
+        return x >= minX - margin && x <= minX + size + margin &&
+               y >= minY - margin && y <= minY + size + margin &&
+               z >= minZ - margin && z <= minZ + size + margin;
+    }
+    
+    /**
+     * Delete queries and proxy geometry
+     */
+    destroy() {
+        const gl = this.gl;
+        
+        for (const entry of this.queries.values()) {
+            gl.deleteQuery(entry.query);
+        }
+        this.queries.clear();
+        
+        if (this.boxBuffer) gl.deleteBuffer(this.boxBuffer);
+        if (this.boxVao) gl.deleteVertexArray(this.boxVao);
+        this.boxBuffer = null;
+        this.boxVao = null;
+    }
+}
\ No newline at end of file
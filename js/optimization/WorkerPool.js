@@ -0,0 +1,184 @@
+/**
+ * Voxel Game - Worker Pool
+ * Dispatches jobs to a fixed set of Web Workers with cancellation
+ * Version: 0.0.1
+ */
+
+export class WorkerPool {
+    /**
+     * @param {URL|string} url - Module worker script
+     * @param {number} size - Number of workers
+     * @param {Object} initMessage - Sent to every worker before any job
+     */
+    constructor(url, size, initMessage) {
+        this.size = size;
+        this.workers = [];
+        
+        // Jobs waiting for a free worker, and jobs posted to a worker
+        this.queue = [];
+        this.inFlight = new Map();
+        this.nextJobId = 1;
+        
+        // Jobs a worker may hold at once; keeps queued work cancellable locally
+        this.maxJobsPerWorker = 2;
+        
+        // Set when a worker fails to load or crashes; callers fall back to the main thread
+        this.failed = false;
+        
+        for (let i = 0; i < size; i++) {
+            const worker = new Worker(url, { type: 'module' });
+            const entry = { worker, jobs: 0 };
+            
+            worker.onmessage = (event) => this.handleMessage(entry, event.data);
+            worker.onerror = (event) => this.handleError(event);
+            worker.postMessage({ type: 'init', ...initMessage });
+            
+            this.workers.push(entry);
+        }
+    }
+    
+    /**
+     * Queue a job
+     * @returns {{id: number, promise: Promise}} promise resolves to the worker's
+     *   result, or null if the job was cancelled
+     */
+    run(type, data, transfer = []) {
+        const id = this.nextJobId++;
+        let job;
+        
+        const promise = new Promise((resolve, reject) => {
+            job = { id, type, data, transfer, resolve, reject, entry: null, cancelled: false };
+        });
+        
+        if (this.failed) {
+            job.reject(new Error('Worker pool unavailable'));
+        } else {
+            this.queue.push(job);
+            this.dispatch();
+        }
+        
+        return { id, promise };
+    }
+    
+    /**
+     * Cancel a queued or running job
+     */
+    cancel(id) {
+        const index = this.queue.findIndex(job => job.id === id);
+        if (index !== -1) {
+            const [job] = this.queue.splice(index, 1);
+            job.resolve(null);
+            return;
+        }
+        
+        const job = this.inFlight.get(id);
+        if (job && !job.cancelled) {
+            // The worker skips it if it hasn't started; either way it replies,
+            // and the slot stays taken until then so the worker isn't overfilled
+            job.entry.worker.postMessage({ type: 'cancel', id });
+            job.cancelled = true;
+            job.resolve(null);
+        }
+    }
+    
+    /**
+     * Post queued jobs to workers with free slots
+     */
+    dispatch() {
+        for (const entry of this.workers) {
+            while (this.queue.length > 0 && entry.jobs < this.maxJobsPerWorker) {
+                const job = this.queue.shift();
+                job.entry = entry;
+                entry.jobs++;
+                this.inFlight.set(job.id, job);
+                
+                entry.worker.postMessage({ type: job.type, id: job.id, ...job.data }, job.transfer);
+            }
+        }
+    }
+    
+    /**
+     * Handle a reply from a worker
+     */
+    handleMessage(entry, message) {
+        if (message.type === 'ready') return;
+        
+        const job = this.inFlight.get(message.id);
+        if (!job) return;
+        
+        this.finishJob(job);
+        
+        // Cancelled jobs were already settled; their reply only frees the slot
+        if (!job.cancelled) {
+            if (message.error) {
+                job.reject(new Error(message.error));
+            } else {
+                job.resolve(message.cancelled ? null : message.result);
+            }
+        }
+        
+        this.dispatch();
+    }
+    
+    /**
+     * Handle a worker failing to load or crashing
+     */
+    handleError(event) {
+        if (this.failed) return;
+        
+        console.error('Worker error:', event.message || event);
+        this.failed = true;
+        
+        const error = new Error(`Worker failed: ${event.message || 'unknown error'}`);
+        
+        for (const job of this.queue) {
+            job.reject(error);
+        }
+        for (const job of this.inFlight.values()) {
+            job.reject(error);
+        }
+        
+        this.queue = [];
+        this.inFlight.clear();
+        this.destroy();
+    }
+    
+    /**
+     * Release a job's worker slot
+     */
+    finishJob(job) {
+        this.inFlight.delete(job.id);
+        job.entry.jobs--;
+    }
+    
+    /**
+     * Get pool statistics
+     */
+    getStats() {
+        return {
+            workers: this.workers.length,
+            queued: this.queue.length,
+            running: this.inFlight.size
+        };
+    }
+    
+    /**
+     * Terminate all workers
+     */
+    destroy() {
+        for (const entry of this.workers) {
+            entry.worker.terminate();
+        }
+        
+        for (const job of this.queue) {
+            job.resolve(null);
+        }
+        for (const job of this.inFlight.values()) {
+            job.resolve(null);
+        }
+        
+        this.workers = [];
+        this.queue = [];
+        this.inFlight.clear();
+    }
+}
\ No newline at end of file
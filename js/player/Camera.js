@@ -18,8 +18,11 @@ export class Camera {
         this.near = 0.1;
         this.far = 1000;
         
-        // Frustum planes for culling
-        this.frustumPlanes = [];
+        // Frustum planes for culling: 6 x (nx, ny, nz, d), normals pointing
+        // inward, in left/right/bottom/top/near/far order
+        this.frustumPlanes = new Float32Array(24);
+        this.viewProjection = new Float32Array(16);
+        this.hasFrustum = false;
     }
     
     /**
@@ -64,37 +67,87 @@ export class Camera {
     }
     
     /**
-     * Update frustum planes
+     * Update frustum planes from the column-major projection and view matrices
      */
     updateFrustum(projectionMatrix, viewMatrix) {
-        // Calculate frustum planes from matrices
-        // This would be used for frustum culling
+        const m = this.viewProjection;
+        const p = projectionMatrix;
+        const v = viewMatrix;
+        
+        // m = projection * view
+        for (let col = 0; col < 4; col++) {
+            for (let row = 0; row < 4; row++) {
+                m[col * 4 + row] =
+                    p[row] * v[col * 4] +
+                    p[4 + row] * v[col * 4 + 1] +
+                    p[8 + row] * v[col * 4 + 2] +
+                    p[12 + row] * v[col * 4 + 3];
+            }
+        }
+        
+        // Each plane is the last row of m plus or minus one of the others
+        // (Gribb/Hartmann extraction)
+        const planes = this.frustumPlanes;
+        for (let i = 0; i < 6; i++) {
+            const row = i >> 1;
+            const sign = (i & 1) ? -1 : 1;
+            
+            const a = m[3] + sign * m[row];
+            const b = m[7] + sign * m[4 + row];
+            const c = m[11] + sign * m[8 + row];
+            const d = m[15] + sign * m[12 + row];
+            
+            // Normalize so plane distances are in world units
+            const length = Math.sqrt(a * a + b * b + c * c);
+            planes[i * 4] = a / length;
+            planes[i * 4 + 1] = b / length;
+            planes[i * 4 + 2] = c / length;
+            planes[i * 4 + 3] = d / length;
+        }
+        
+        this.hasFrustum = true;
     }
     
     /**
      * Check if point is in frustum
      */
     isPointInFrustum(x, y, z) {
-        // Simplified check - just use distance for now
-        const dx = x - this.position.x;
-        const dy = y - this.position.y;
-        const dz = z - this.position.z;
-        const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+        if (!this.hasFrustum) return true;
         
-        return distance < this.far;
+        const planes = this.frustumPlanes;
+        for (let i = 0; i < 24; i += 4) {
+            if (planes[i] * x + planes[i + 1] * y + planes[i + 2] * z + planes[i + 3] < 0) {
+                return false;
+            }
+        }
+        
+        return true;
     }
     
     /**
-     * Check if box is in frustum
+     * Check if an axis-aligned box intersects the frustum
+     * Conservative: boxes near frustum corners may pass without being visible.
      */
     isBoxInFrustum(min, max) {
-        // Simplified AABB frustum check
-        const center = {
-            x: (min.x + max.x) / 2,
-            y: (min.y + max.y) / 2,
-            z: (min.z + max.z) / 2
-        };
+        if (!this.hasFrustum) return true;
+        
+        const planes = this.frustumPlanes;
+        for (let i = 0; i < 24; i += 4) {
+            const nx = planes[i];
+            const ny = planes[i + 1];
+            const nz = planes[i + 2];
+            
+            // Corner furthest along the plane normal; if even that is behind
+            // the plane, the whole box is outside
+            const x = nx >= 0 ? max.x : min.x;
+            const y = ny >= 0 ? max.y : min.y;
+            const z = nz >= 0 ? max.z : min.z;
+            
+            if (nx * x + ny * y + nz * z + planes[i + 3] < 0) {
+                return false;
+            }
+        }
         
-        return this.isPointInFrustum(center.x, center.y, center.z);
+        return true;
     }
 }
\ No newline at end of file
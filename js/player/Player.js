@@ -5,6 +5,12 @@
  */
 
 import { Camera } from './Camera.js';
+import { Blocks, BlockId } from '../world/Block.js';
+
+// Blocks around the start searched for dry land to spawn on, and the spacing
+// of the columns tried
+const SPAWN_SEARCH_RADIUS = 64;
+const SPAWN_SEARCH_STEP = 4;
 
 export class Player {
     constructor(world, config) {
@@ -37,6 +43,9 @@ export class Player {
         this.mouseButtons = {};
         this.touchInput = { x: 0, y: 0 };
         
+        // Block placed by placeBlock()
+        this.selectedBlock = BlockId.STONE;
+        
         // Camera
         this.camera = null;
         
@@ -56,12 +65,70 @@ export class Player {
         this.camera = new Camera(this.config);
         this.camera.init();
         
+        this.spawn();
+        
         // Set initial camera position
         this.updateCameraPosition();
         
         console.log('Player initialized at', this.position);
     }
     
+    /**
+     * Stand the player on dry land: the highest solid block of their column,
+     * or of the nearest column around it not topped by water. With no dry
+     * land loaded nearby they start on top of the water.
+     */
+    spawn() {
+        const x = Math.floor(this.position.x);
+        const z = Math.floor(this.position.z);
+        const column = this.findDryColumn(x, z);
+        
+        if (column) {
+            if (column.x !== x || column.z !== z) {
+                this.position.x = column.x + 0.5;
+                this.position.z = column.z + 0.5;
+            }
+            this.position.y = column.y + 1;
+            this.velocity.y = 0;
+            return;
+        }
+        
+        const surface = this.world.getSurfaceHeight(x, z, true);
+        if (surface !== null) {
+            this.position.y = surface + 1;
+            this.velocity.y = 0;
+        }
+    }
+    
+    /**
+     * Search rings of columns around a position, nearest first, for one
+     * whose surface is a solid block rather than a liquid
+     * @returns {{x: number, y: number, z: number}|null} the column and its
+     *   surface height
+     */
+    findDryColumn(startX, startZ) {
+        const world = this.world;
+        
+        for (let radius = 0; radius <= SPAWN_SEARCH_RADIUS; radius += SPAWN_SEARCH_STEP) {
+            for (let dx = -radius; dx <= radius; dx += SPAWN_SEARCH_STEP) {
+                for (let dz = -radius; dz <= radius; dz += SPAWN_SEARCH_STEP) {
+                    // Only the ring; smaller radii covered the inside
+                    if (Math.abs(dx) !== radius && Math.abs(dz) !== radius) continue;
+                    
+                    const x = startX + dx;
+                    const z = startZ + dz;
+                    const y = world.getSurfaceHeight(x, z, true);
+                    
+                    if (y !== null && Blocks.isSolid(world.getBlockId(x, y, z))) {
+                        return { x, y, z };
+                    }
+                }
+            }
+        }
+        
+        return null;
+    }
+    
     /**
      * Update player state
      */
@@ -394,7 +461,10 @@ export class Player {
             const block = this.world.getBlock(checkPos.x, checkPos.y, checkPos.z);
             
             if (block && block.solid) {
-                this.world.setBlock(checkPos.x, checkPos.y, checkPos.z, null);
+                // Unbreakable blocks (bedrock) stop the ray without being removed
+                if (block.hardness !== Infinity) {
+                    this.world.setBlock(checkPos.x, checkPos.y, checkPos.z, null);
+                }
                 break;
             }
         }
@@ -420,7 +490,7 @@ export class Player {
             if (block && block.solid) {
                 if (lastEmpty) {
                     // Place block at last empty position
-                    this.world.setBlock(lastEmpty.x, lastEmpty.y, lastEmpty.z, { type: 'stone', solid: true });
+                    this.world.setBlock(lastEmpty.x, lastEmpty.y, lastEmpty.z, this.selectedBlock);
                 }
                 break;
             }
@@ -429,6 +499,13 @@ export class Player {
         }
     }
     
+    /**
+     * Select block type to place (ID or name)
+     */
+    selectBlock(block) {
+        this.selectedBlock = Blocks.resolve(block);
+    }
+    
     /**
      * Teleport player to position
      */
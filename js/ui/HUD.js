@@ -14,7 +14,8 @@ export class HUD {
             stats: null,
             inventory: null,
             crosshair: null,
-            mobileControls: null
+            mobileControls: null,
+            status: null
         };
         
         // State
@@ -71,6 +72,54 @@ export class HUD {
         }
     }
     
+    /**
+     * Show a status message over the game, e.g. while graphics recover
+     * from a lost context
+     */
+    showStatus(message) {
+        if (!this.elements.status) {
+            this.createStatus();
+        }
+        
+        this.elements.status.textContent = message;
+        this.elements.status.style.display = 'block';
+    }
+    
+    /**
+     * Hide the status message
+     */
+    hideStatus() {
+        if (this.elements.status) {
+            this.elements.status.style.display = 'none';
+        }
+    }
+    
+    /**
+     * Create status message element
+     */
+    createStatus() {
+        const status = document.createElement('div');
+        status.id = 'hudStatus';
+        status.style.cssText = `
+            position: fixed;
+            top: 50%;
+            left: 50%;
+            transform: translate(-50%, -50%);
+            padding: 12px 20px;
+            background: rgba(0, 0, 0, 0.7);
+            color: white;
+            font-family: monospace;
+            font-size: 14px;
+            border-radius: 4px;
+            pointer-events: none;
+            z-index: 1001;
+            display: none;
+        `;
+        
+        document.body.appendChild(status);
+        this.elements.status = status;
+    }
+    
     /**
      * Update HUD
      */
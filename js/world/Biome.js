@@ -0,0 +1,227 @@
+/**
+ * Voxel Game - Biomes
+ * Biome definitions and climate-driven biome selection with smooth blending
+ * Version: 0.0.1
+ */
+
+import { BlockId } from './Block.js';
+
+/**
+ * Biome IDs
+ */
+export const BiomeId = Object.freeze({
+    OCEAN: 0,
+    PLAINS: 1,
+    FOREST: 2,
+    DESERT: 3,
+    MOUNTAINS: 4,
+    SNOW: 5
+});
+
+/**
+ * Biome definitions
+ * temperature/humidity: climate point (0..1) the biome is centered on
+ * baseHeight/heightVariation: surface height profile; ridged uses sharp ridge noise
+ * surface/subsurface/subsurfaceDepth: top block and the layer under it
+ * snowLine: height above which the surface turns to snow
+ * trees: chance per column of a tree rooted there
+ * caves: multiplier on cave and ravine size (0 = none)
+ * overhang: blocks of 3D noise around the surface, for cliffs and overhangs
+ */
+export const BIOMES = [
+    {
+        id: BiomeId.OCEAN,
+        name: 'ocean',
+        temperature: 0.5,
+        humidity: 0.5,
+        baseHeight: 24,
+        heightVariation: 3,
+        surface: BlockId.SAND,
+        subsurface: BlockId.GRAVEL,
+        subsurfaceDepth: 3,
+        trees: 0,
+        caves: 0,
+        overhang: 0
+    },
+    {
+        id: BiomeId.PLAINS,
+        name: 'plains',
+        temperature: 0.55,
+        humidity: 0.4,
+        baseHeight: 40,
+        heightVariation: 4,
+        surface: BlockId.GRASS,
+        subsurface: BlockId.DIRT,
+        subsurfaceDepth: 3,
+        trees: 0.002,
+        caves: 1,
+        overhang: 0
+    },
+    {
+        id: BiomeId.FOREST,
+        name: 'forest',
+        temperature: 0.5,
+        humidity: 0.75,
+        baseHeight: 42,
+        heightVariation: 6,
+        surface: BlockId.GRASS,
+        subsurface: BlockId.DIRT,
+        subsurfaceDepth: 3,
+        trees: 0.03,
+        caves: 1,
+        overhang: 0
+    },
+    {
+        id: BiomeId.DESERT,
+        name: 'desert',
+        temperature: 0.85,
+        humidity: 0.15,
+        baseHeight: 39,
+        heightVariation: 3,
+        surface: BlockId.SAND,
+        subsurface: BlockId.SAND,
+        subsurfaceDepth: 4,
+        trees: 0,
+        caves: 0.7,
+        overhang: 0
+    },
+    {
+        id: BiomeId.MOUNTAINS,
+        name: 'mountains',
+        temperature: 0.3,
+        humidity: 0.3,
+        baseHeight: 58,
+        heightVariation: 26,
+        ridged: true,
+        surface: BlockId.STONE,
+        subsurface: BlockId.STONE,
+        subsurfaceDepth: 1,
+        snowLine: 72,
+        trees: 0,
+        caves: 1.3,
+        overhang: 6
+    },
+    {
+        id: BiomeId.SNOW,
+        name: 'snow',
+        temperature: 0.1,
+        humidity: 0.5,
+        baseHeight: 42,
+        heightVariation: 5,
+        surface: BlockId.SNOW,
+        subsurface: BlockId.DIRT,
+        subsurfaceDepth: 3,
+        trees: 0.005,
+        caves: 0.8,
+        overhang: 0
+    }
+].map(biome => Object.freeze(biome));
+
+/**
+ * Picks biomes from temperature, humidity and continentalness noise
+ */
+export class BiomeMap {
+    /**
+     * @param {SimplexNoise} noise - Seeded noise shared with the terrain generator
+     */
+    constructor(noise) {
+        this.noise = noise;
+        
+        // Climate noise scale; biomes span a few hundred blocks
+        this.climateScale = 0.0015;
+        this.continentScale = 0.001;
+        
+        // Width of blends between neighbouring climates (climate-space units)
+        this.blendWidth = 0.12;
+        
+        // Continentalness below which land gives way to ocean, and the
+        // continentalness range over which coasts blend
+        this.oceanThreshold = -0.2;
+        this.coastWidth = 0.1;
+        
+        // Land biomes compete by climate; ocean is decided by continentalness
+        this.landBiomes = BIOMES.filter(biome => biome.id !== BiomeId.OCEAN);
+        
+        // Reusable result of sampleAt()
+        this.sample = {
+            weights: new Float32Array(BIOMES.length),
+            biome: BIOMES[BiomeId.PLAINS],
+            temperature: 0,
+            humidity: 0
+        };
+    }
+    
+    /**
+     * Sample biome weights at a world column
+     * The returned object is reused by the next call.
+     * @returns {{weights: Float32Array, biome: Object, temperature: number, humidity: number}}
+     *   weights sum to 1 and are indexed by biome ID; biome is the strongest one
+     */
+    sampleAt(x, z) {
+        const sample = this.sample;
+        const weights = sample.weights;
+        
+        // Offset the fields so they don't correlate with each other or terrain detail
+        const temperature = this.climate(x + 10000, z);
+        const humidity = this.climate(x, z - 10000);
+        const continent = this.noise.fractal2D(
+            x * this.continentScale - 5000,
+            z * this.continentScale + 5000,
+            3
+        );
+        
+        // Gaussian falloff around each land biome's climate point
+        const width2 = this.blendWidth * this.blendWidth;
+        let total = 0;
+        
+        weights.fill(0);
+        for (const biome of this.landBiomes) {
+            const dt = temperature - biome.temperature;
+            const dh = humidity - biome.humidity;
+            const weight = Math.exp(-(dt * dt + dh * dh) / width2);
+            weights[biome.id] = weight;
+            total += weight;
+        }
+        
+        // Blend land into ocean across the coast
+        const ocean = 1 - smoothstep(
+            this.oceanThreshold - this.coastWidth,
+            this.oceanThreshold + this.coastWidth,
+            continent
+        );
+        const land = (1 - ocean) / total;
+        
+        let strongest = 0;
+        for (const biome of this.landBiomes) {
+            weights[biome.id] *= land;
+            if (weights[biome.id] > weights[strongest]) {
+                strongest = biome.id;
+            }
+        }
+        
+        weights[BiomeId.OCEAN] = ocean;
+        if (ocean > 0.5) {
+            strongest = BiomeId.OCEAN;
+        }
+        
+        sample.biome = BIOMES[strongest];
+        sample.temperature = temperature;
+        sample.humidity = humidity;
+        return sample;
+    }
+    
+    /**
+     * Climate value in [0, 1]
+     */
+    climate(x, z) {
+        const value = this.noise.fractal2D(x * this.climateScale, z * this.climateScale, 2);
+        
+        // Fractal noise rarely leaves [-0.6, 0.6]; stretch so extremes are reached
+        return Math.min(1, Math.max(0, value * 0.9 + 0.5));
+    }
+}
+
+function smoothstep(edge0, edge1, x) {
+    const t = Math.min(1, Math.max(0, (x - edge0) / (edge1 - edge0)));
+    return t * t * (3 - 2 * t);
+}
\ No newline at end of file
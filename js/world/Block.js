@@ -0,0 +1,309 @@
+/**
+ * Voxel Game - Block Registry
+ * Central definition of block types and their properties
+ * Version: 0.0.1
+ */
+
+/**
+ * Face names as used by the mesher
+ */
+export const FACES = ['top', 'bottom', 'front', 'back', 'right', 'left'];
+
+/**
+ * Stable block IDs - these are stored in Chunk.blocks, never renumber them
+ */
+export const BlockId = Object.freeze({
+    AIR: 0,
+    STONE: 1,
+    DIRT: 2,
+    BEDROCK: 3,
+    GRASS: 4,
+    SAND: 5,
+    WATER: 6,
+    GRAVEL: 7,
+    SNOW: 8,
+    WOOD: 9,
+    LEAVES: 10,
+    GLOWSTONE: 11,
+    
+    // Placeholder for neighbor chunks that are not loaded yet (never stored)
+    UNLOADED: 255
+});
+
+export class BlockRegistry {
+    constructor() {
+        // Definitions indexed by ID (IDs fit in the Uint8 chunk storage)
+        this.blocks = new Array(256).fill(null);
+        this.byName = new Map();
+        
+        // Flat lookup tables for hot loops (meshing, collision)
+        this.solid = new Uint8Array(256);
+        this.transparent = new Uint8Array(256);
+        this.translucent = new Uint8Array(256);
+        this.lightEmission = new Uint8Array(256);
+        
+        // IDs with lookup table entries but no definition (see reserve)
+        this.reserved = new Set();
+    }
+    
+    /**
+     * Register a block definition
+     */
+    register(definition) {
+        const { id, name } = definition;
+        
+        if (!Number.isInteger(id) || id < 0 || id > 255) {
+            throw new Error(`Invalid block ID for '${name}': ${id}`);
+        }
+        if (this.blocks[id]) {
+            throw new Error(`Block ID ${id} already registered as '${this.blocks[id].name}'`);
+        }
+        if (this.reserved.has(id)) {
+            throw new Error(`Block ID ${id} is reserved`);
+        }
+        if (this.byName.has(name)) {
+            throw new Error(`Block name already registered: ${name}`);
+        }
+        
+        const block = Object.freeze({
+            id,
+            name,
+            solid: definition.solid !== undefined ? definition.solid : true,
+            transparent: definition.transparent || false,
+            // Alpha-blended in the translucent pass; other transparent blocks are alpha-tested
+            translucent: definition.translucent || false,
+            liquid: definition.liquid || false,
+            hardness: definition.hardness !== undefined ? definition.hardness : 1,
+            lightEmission: definition.lightEmission || 0,
+            textures: Object.freeze({ ...definition.textures }),
+            
+            // Procedural look per texture key, used when no atlas image is available
+            paint: definition.paint ? Object.freeze({ ...definition.paint }) : null
+        });
+        
+        this.blocks[id] = block;
+        this.byName.set(name, block);
+        
+        this.solid[id] = block.solid ? 1 : 0;
+        this.transparent[id] = block.transparent ? 1 : 0;
+        this.translucent[id] = block.translucent ? 1 : 0;
+        this.lightEmission[id] = block.lightEmission;
+        
+        return block;
+    }
+    
+    /**
+     * Give an ID lookup table entries without registering a block, for
+     * placeholders the mesher reads but the world never stores: get(),
+     * getByName(), resolve() and getAll() don't know it, so it can't be
+     * selected or placed
+     */
+    reserve(id, { solid = true, transparent = false } = {}) {
+        if (this.blocks[id]) {
+            throw new Error(`Block ID ${id} already registered as '${this.blocks[id].name}'`);
+        }
+        
+        this.reserved.add(id);
+        this.solid[id] = solid ? 1 : 0;
+        this.transparent[id] = transparent ? 1 : 0;
+    }
+    
+    /**
+     * Get block definition by ID
+     */
+    get(id) {
+        return this.blocks[id] || null;
+    }
+    
+    /**
+     * Get block definition by name
+     */
+    getByName(name) {
+        return this.byName.get(name) || null;
+    }
+    
+    /**
+     * Resolve an ID, name or definition to a registered block ID
+     */
+    resolve(block) {
+        if (block === null || block === undefined) {
+            return BlockId.AIR;
+        }
+        
+        let definition = null;
+        
+        if (typeof block === 'number') {
+            definition = this.blocks[block];
+        } else if (typeof block === 'string') {
+            definition = this.byName.get(block);
+        } else if (typeof block.id === 'number') {
+            definition = this.blocks[block.id];
+        }
+        
+        if (!definition) {
+            throw new Error(`Unknown block: ${JSON.stringify(block)}`);
+        }
+        
+        return definition.id;
+    }
+    
+    /**
+     * Check if block has collision
+     */
+    isSolid(id) {
+        return this.solid[id] === 1;
+    }
+    
+    /**
+     * Check if block lets light and sight through
+     */
+    isTransparent(id) {
+        return this.transparent[id] === 1;
+    }
+    
+    /**
+     * Check if block is drawn blended in the translucent pass
+     */
+    isTranslucent(id) {
+        return this.translucent[id] === 1;
+    }
+    
+    /**
+     * Check if a face of block `id` is hidden by the neighboring block
+     */
+    isFaceOccluded(id, neighborId) {
+        if (neighborId === BlockId.AIR) return false;
+        
+        // Transparent blocks only hide faces of the same type (water next to water)
+        return this.transparent[neighborId] === 0 || neighborId === id;
+    }
+    
+    /**
+     * Get atlas tile index for a block face
+     */
+    getFaceTile(id, face) {
+        const textures = this.blocks[id].textures;
+        
+        if (textures[face] !== undefined) return textures[face];
+        if (face !== 'top' && face !== 'bottom' && textures.side !== undefined) return textures.side;
+        
+        return textures.all;
+    }
+    
+    /**
+     * Get all registered block definitions
+     */
+    getAll() {
+        return this.blocks.filter(block => block !== null);
+    }
+}
+
+/**
+ * Shared registry with the built-in blocks
+ */
+export const Blocks = new BlockRegistry();
+
+Blocks.register({ id: BlockId.AIR, name: 'air', solid: false, transparent: true, hardness: 0 });
+
+Blocks.register({
+    id: BlockId.STONE,
+    name: 'stone',
+    hardness: 1.5,
+    textures: { all: 0 },
+    paint: { all: { pattern: 'noise', color: [125, 125, 125], variation: 0.15 } }
+});
+
+Blocks.register({
+    id: BlockId.DIRT,
+    name: 'dirt',
+    hardness: 0.5,
+    textures: { all: 1 },
+    paint: { all: { pattern: 'noise', color: [134, 96, 67], variation: 0.14 } }
+});
+
+Blocks.register({
+    id: BlockId.BEDROCK,
+    name: 'bedrock',
+    hardness: Infinity,
+    textures: { all: 2 },
+    paint: { all: { pattern: 'speckle', color: [84, 84, 84], secondary: [34, 34, 34], density: 0.4 } }
+});
+
+Blocks.register({
+    id: BlockId.GRASS,
+    name: 'grass',
+    hardness: 0.6,
+    textures: { top: 3, side: 4, bottom: 1 },
+    paint: {
+        top: { pattern: 'noise', color: [96, 159, 58], variation: 0.18 },
+        side: { pattern: 'grassSide', color: [96, 159, 58], secondary: [134, 96, 67], variation: 0.14 }
+    }
+});
+
+Blocks.register({
+    id: BlockId.SAND,
+    name: 'sand',
+    hardness: 0.5,
+    textures: { all: 5 },
+    paint: { all: { pattern: 'noise', color: [219, 207, 163], variation: 0.06 } }
+});
+
+Blocks.register({
+    id: BlockId.WATER,
+    name: 'water',
+    solid: false,
+    transparent: true,
+    translucent: true,
+    liquid: true,
+    hardness: Infinity,
+    textures: { all: 6 },
+    paint: { all: { pattern: 'water', color: [48, 96, 200], alpha: 0.7 } }
+});
+
+Blocks.register({
+    id: BlockId.GRAVEL,
+    name: 'gravel',
+    hardness: 0.6,
+    textures: { all: 7 },
+    paint: { all: { pattern: 'speckle', color: [136, 126, 126], secondary: [96, 88, 88], density: 0.35 } }
+});
+
+Blocks.register({
+    id: BlockId.SNOW,
+    name: 'snow',
+    hardness: 0.2,
+    textures: { all: 8 },
+    paint: { all: { pattern: 'noise', color: [240, 248, 255], variation: 0.04 } }
+});
+
+Blocks.register({
+    id: BlockId.WOOD,
+    name: 'wood',
+    hardness: 2,
+    textures: { top: 10, bottom: 10, side: 9 },
+    paint: {
+        side: { pattern: 'bark', color: [102, 81, 50] },
+        top: { pattern: 'rings', color: [176, 143, 92], secondary: [102, 81, 50] }
+    }
+});
+
+Blocks.register({
+    id: BlockId.LEAVES,
+    name: 'leaves',
+    transparent: true,
+    hardness: 0.2,
+    textures: { all: 11 },
+    paint: { all: { pattern: 'leaves', color: [58, 120, 38], holes: 0.15 } }
+});
+
+Blocks.register({
+    id: BlockId.GLOWSTONE,
+    name: 'glowstone',
+    hardness: 0.3,
+    lightEmission: 15,
+    textures: { all: 12 },
+    paint: { all: { pattern: 'speckle', color: [240, 200, 110], secondary: [255, 240, 170], density: 0.3 } }
+});
+
+// Opaque so chunk borders stay closed until the real neighbor is meshed against
+Blocks.reserve(BlockId.UNLOADED);
\ No newline at end of file
@@ -4,24 +4,148 @@
  * Version: 0.0.1
  */
 
+import { Blocks, BlockId } from './Block.js';
+
+/**
+ * Packed chunk vertex layout, unsigned bytes:
+ *   0-2 position within the chunk (blocks), 3 face (FACE_INDEX) | FACE_EMISSIVE
+ *   4 atlas tile, 5 light (sky << 4 | block),
+ *   6 ambient occlusion (bits 0-1) | chunk y (bits 2-7), 7 chunk x | chunk z << 4
+ * Chunk coordinates are relative to the chunk's batch region and written into
+ * the uploaded copy (see ChunkBatch.writeMesh); mesh vertices keep them zero.
+ * The vertex shader derives the normal from the face, and UVs in block units
+ * from position and face, so merged quads repeat their tile
+ */
+export const VERTEX_BYTES = 8;
+export const VERTEX_STRIDE = VERTEX_BYTES;
+
+/**
+ * Face index stored in vertices, in NEIGHBOR_OFFSETS order
+ */
+export const FACE_INDEX = Object.freeze({
+    right: 0, left: 1, top: 2, bottom: 3, front: 4, back: 5
+});
+
+// Face byte flag for faces of light-emitting blocks, drawn at full
+// brightness and picked up by bloom
+export const FACE_EMISSIVE = 8;
+
+// Light byte for full sky light and no block light, and unoccluded AO
+export const FULL_LIGHT = 15 << 4;
+export const AO_OPEN = 3;
+
+/**
+ * Face neighbor order (+X, -X, +Y, -Y, +Z, -Z); the opposite side of `side`
+ * is `side ^ 1`
+ */
+export const NEIGHBOR_OFFSETS = [
+    [1, 0, 0], [-1, 0, 0],
+    [0, 1, 0], [0, -1, 0],
+    [0, 0, 1], [0, 0, -1]
+];
+
+/**
+ * Face neighbors followed by the 12 edge and 8 corner neighbors, the order of
+ * buildMesh neighbors and missingNeighbors bits; ambient occlusion reaches
+ * diagonally across chunk edges
+ */
+export const ALL_NEIGHBOR_OFFSETS = NEIGHBOR_OFFSETS.slice();
+for (let dz = -1; dz <= 1; dz++) {
+    for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+            if (Math.abs(dx) + Math.abs(dy) + Math.abs(dz) > 1) {
+                ALL_NEIGHBOR_OFFSETS.push([dx, dy, dz]);
+            }
+        }
+    }
+}
+
+// ALL_NEIGHBOR_OFFSETS index by (dx + 1) + (dy + 1) * 3 + (dz + 1) * 9
+const NEIGHBOR_LOOKUP = new Int8Array(27).fill(-1);
+ALL_NEIGHBOR_OFFSETS.forEach(([dx, dy, dz], index) => {
+    NEIGHBOR_LOOKUP[(dx + 1) + (dy + 1) * 3 + (dz + 1) * 9] = index;
+});
+
+// Flood fill scratch for computeFaceConnectivity, sized to the chunk volume
+// and reused between builds
+let floodVisited = new Uint8Array(0);
+let floodStack = new Int32Array(0);
+
+/**
+ * Get the ALL_NEIGHBOR_OFFSETS index of a neighbor offset
+ */
+export function getNeighborIndex(dx, dy, dz) {
+    return NEIGHBOR_LOOKUP[(dx + 1) + (dy + 1) * 3 + (dz + 1) * 9];
+}
+
+/**
+ * Bit index of each pair of distinct faces in Chunk.faceConnectivity
+ * (15 pairs, symmetric); FACES_ALL_CONNECTED has every pair set
+ */
+export const FACE_PAIR_BITS = new Int8Array(36).fill(-1);
+for (let a = 0, bit = 0; a < 6; a++) {
+    for (let b = a + 1; b < 6; b++, bit++) {
+        FACE_PAIR_BITS[a * 6 + b] = bit;
+        FACE_PAIR_BITS[b * 6 + a] = bit;
+    }
+}
+export const FACES_ALL_CONNECTED = (1 << 15) - 1;
+
+/**
+ * Vertices addressable by 16-bit indices; meshes with more get 32-bit ones
+ */
+export const SHORT_INDEX_VERTICES = 65536;
+
+/**
+ * Copy mesh indices into the smallest index array that can address
+ * `vertexCount` vertices
+ */
+export function createIndexArray(indices, vertexCount) {
+    return vertexCount > SHORT_INDEX_VERTICES ? Uint32Array.from(indices) : Uint16Array.from(indices);
+}
+
+/**
+ * Check if sight can pass through a chunk between two faces
+ */
+export function areFacesConnected(connectivity, a, b) {
+    return (connectivity & (1 << FACE_PAIR_BITS[a * 6 + b])) !== 0;
+}
+
 export class Chunk {
     constructor(x, y, z, size) {
         this.position = { x, y, z };
         this.size = size;
         
-        // Block data - 3D array
+        // Block data - 3D array of block IDs (see Block.js)
         this.blocks = new Uint8Array(size * size * size);
         
-        // Mesh data
+        // Light per block, sky << 4 | block (see LightEngine); baked into
+        // vertices when meshing
+        this.light = new Uint8Array(size * size * size);
+        
+        // Mesh data; translucent blocks (water) get their own mesh for the
+        // blended pass, null when the chunk has none. GPUResourceManager adds
+        // vertexBuffer, indexBuffer, vao and the index format to meshes it uploads.
+        // Indices are Uint16Array, or Uint32Array past SHORT_INDEX_VERTICES.
         this.mesh = null;
-        this.vao = null;
+        this.translucentMesh = null;
         this.needsRebuild = true;
         
-        // WebGL buffers
-        this.vertexBuffer = null;
-        this.indexBuffer = null;
-        this.vertexCount = 0;
-        this.indexCount = 0;
+        // Worker pool job id while a mesh is being built off-thread
+        this.meshJob = null;
+        
+        // Neighbor block data while meshing, and bits of neighbors that were
+        // not loaded during the last build (see ALL_NEIGHBOR_OFFSETS)
+        this.neighbors = null;
+        this.neighborLight = null;
+        this.missingNeighbors = 0;
+        
+        // Which faces see each other through non-opaque blocks (see
+        // computeFaceConnectivity); all open until the first build
+        this.faceConnectivity = FACES_ALL_CONNECTED;
+        
+        // Level of detail the mesh is built at (see LODSystem; 0 = full)
+        this.lodLevel = 0;
         
         // Chunk state
         this.isEmpty = true;
@@ -29,21 +153,90 @@ export class Chunk {
     }
     
     /**
-     * Get block at local position
+     * Get block ID at local position (air when out of bounds)
      */
-    getBlock(x, y, z) {
+    getBlockId(x, y, z) {
         if (x < 0 || x >= this.size || y < 0 || y >= this.size || z < 0 || z >= this.size) {
-            return null;
+            return BlockId.AIR;
         }
         
-        const index = x + y * this.size + z * this.size * this.size;
-        const blockType = this.blocks[index];
+        return this.blocks[x + y * this.size + z * this.size * this.size];
+    }
+    
+    /**
+     * Get block ID for face tests, stepping at most one block into a neighbor
+     * Unloaded neighbors read as BlockId.UNLOADED (opaque) and are recorded in
+     * missingNeighbors so the chunk can be remeshed once they arrive.
+     * Without a neighborhood (standalone meshing) the outside is air.
+     */
+    sampleBlockId(x, y, z) {
+        const size = this.size;
+        
+        if (x >= 0 && x < size && y >= 0 && y < size && z >= 0 && z < size) {
+            return this.blocks[x + y * size + z * size * size];
+        }
+        
+        if (!this.neighbors) {
+            return BlockId.AIR;
+        }
+        
+        const side = neighborIndex(x, y, z, size);
+        const neighbor = this.neighbors[side];
+        
+        if (neighbor === null || neighbor === undefined) {
+            this.missingNeighbors |= 1 << side;
+            return BlockId.UNLOADED;
+        }
+        
+        // Uniform stand-in for space outside the world
+        if (typeof neighbor === 'number') {
+            return neighbor;
+        }
+        
+        return neighbor[wrapIndex(x, y, z, size)];
+    }
+    
+    /**
+     * Get the light byte (sky << 4 | block) of the block at local position,
+     * stepping at most one block into a face neighbor.
+     * Above the world is open sky and below it is dark; unloaded neighbors
+     * and standalone meshing read full light.
+     */
+    sampleLight(x, y, z) {
+        const size = this.size;
+        
+        if (x >= 0 && x < size && y >= 0 && y < size && z >= 0 && z < size) {
+            return this.light[x + y * size + z * size * size];
+        }
+        
+        if (!this.neighborLight) {
+            return FULL_LIGHT;
+        }
+        
+        const neighbor = this.neighborLight[neighborIndex(x, y, z, size)];
+        
+        if (neighbor === null || neighbor === undefined) {
+            return FULL_LIGHT;
+        }
+        
+        if (typeof neighbor === 'number') {
+            return neighbor;
+        }
         
-        return blockType > 0 ? { type: blockType, solid: true } : null;
+        return neighbor[wrapIndex(x, y, z, size)];
+    }
+    
+    /**
+     * Get block definition at local position
+     */
+    getBlock(x, y, z) {
+        const id = this.getBlockId(x, y, z);
+        return id !== BlockId.AIR ? Blocks.get(id) : null;
     }
     
     /**
      * Set block at local position
+     * Accepts a block ID, name or definition; null clears to air
      */
     setBlock(x, y, z, blockType) {
         if (x < 0 || x >= this.size || y < 0 || y >= this.size || z < 0 || z >= this.size) {
@@ -51,95 +244,209 @@ export class Chunk {
         }
         
         const index = x + y * this.size + z * this.size * this.size;
-        this.blocks[index] = blockType ? blockType.type || 1 : 0;
+        const id = Blocks.resolve(blockType);
+        this.blocks[index] = id;
         
         this.needsRebuild = true;
         this.isDirty = true;
         
-        if (blockType) {
+        if (id !== BlockId.AIR) {
             this.isEmpty = false;
         }
     }
     
     /**
      * Build mesh from block data
+     * @param {GreedyMesher|null} mesher - Merges coplanar faces; null emits one quad per face
+     * @param {Array|null} neighbors - Neighbors in ALL_NEIGHBOR_OFFSETS order: block
+     *   array, uniform block ID (outside the world) or null (not loaded yet)
+     * @param {Array|null} neighborLight - Light arrays of the face neighbors,
+     *   same order and stand-ins (uniform light byte outside the world)
      */
-    buildMesh() {
+    buildMesh(mesher = null, neighbors = null, neighborLight = null) {
         if (!this.needsRebuild) return;
         
-        const vertices = [];
-        const indices = [];
-        let vertexCount = 0;
+        this.neighbors = neighbors;
+        this.neighborLight = neighborLight;
+        this.missingNeighbors = 0;
+        
+        try {
+            const meshes = mesher ? mesher.build(this) : this.buildNaiveMesh();
+            this.mesh = meshes.opaque;
+            this.translucentMesh = meshes.translucent;
+            this.faceConnectivity = this.computeFaceConnectivity();
+        } finally {
+            // Don't keep neighbor arrays alive past the build
+            this.neighbors = null;
+            this.neighborLight = null;
+        }
+        
+        this.needsRebuild = false;
+    }
+    
+    /**
+     * Install a build done elsewhere (terrain worker)
+     * @param {Object} result - meshes ({opaque, translucent} as returned by the
+     *   meshers), missingNeighbors and faceConnectivity
+     */
+    applyMesh(result) {
+        this.mesh = result.meshes.opaque;
+        this.translucentMesh = result.meshes.translucent;
+        this.missingNeighbors = result.missingNeighbors;
+        this.faceConnectivity = result.faceConnectivity;
+    }
+    
+    /**
+     * Flood fill the non-opaque blocks and record which pairs of chunk faces
+     * are linked by them, for occlusion culling (see OcclusionCuller)
+     * @returns {number} bitmask indexed by FACE_PAIR_BITS
+     */
+    computeFaceConnectivity() {
+        const size = this.size;
+        const area = size * size;
+        const volume = area * size;
+        const blocks = this.blocks;
+        
+        if (floodVisited.length !== volume) {
+            floodVisited = new Uint8Array(volume);
+            floodStack = new Int32Array(volume);
+        } else {
+            floodVisited.fill(0);
+        }
+        
+        const visited = floodVisited;
+        const stack = floodStack;
+        let connectivity = 0;
+        
+        for (let start = 0; start < volume; start++) {
+            if (visited[start] || !Blocks.isTransparent(blocks[start])) continue;
+            
+            // Faces touched by this connected region (NEIGHBOR_OFFSETS order)
+            let faces = 0;
+            let top = 0;
+            stack[top++] = start;
+            visited[start] = 1;
+            
+            while (top > 0) {
+                const index = stack[--top];
+                const x = index % size;
+                const y = Math.floor(index / size) % size;
+                const z = Math.floor(index / area);
+                
+                if (x === size - 1) faces |= 1;
+                if (x === 0) faces |= 2;
+                if (y === size - 1) faces |= 4;
+                if (y === 0) faces |= 8;
+                if (z === size - 1) faces |= 16;
+                if (z === 0) faces |= 32;
+                
+                if (x < size - 1) top = floodVisit(index + 1, blocks, visited, stack, top);
+                if (x > 0) top = floodVisit(index - 1, blocks, visited, stack, top);
+                if (y < size - 1) top = floodVisit(index + size, blocks, visited, stack, top);
+                if (y > 0) top = floodVisit(index - size, blocks, visited, stack, top);
+                if (z < size - 1) top = floodVisit(index + area, blocks, visited, stack, top);
+                if (z > 0) top = floodVisit(index - area, blocks, visited, stack, top);
+            }
+            
+            for (let a = 0; a < 6; a++) {
+                if (!(faces & (1 << a))) continue;
+                for (let b = a + 1; b < 6; b++) {
+                    if (faces & (1 << b)) {
+                        connectivity |= 1 << FACE_PAIR_BITS[a * 6 + b];
+                    }
+                }
+            }
+            
+            if (connectivity === FACES_ALL_CONNECTED) break;
+        }
+        
+        return connectivity;
+    }
+    
+    /**
+     * Naive meshing - one quad per visible block face
+     * @returns {{opaque: Object, translucent: Object|null}}
+     */
+    buildNaiveMesh() {
+        const opaque = { vertices: [], indices: [], vertexCount: 0 };
+        const translucent = { vertices: [], indices: [], vertexCount: 0 };
         
         // Simple meshing - create faces for each visible block face
         for (let x = 0; x < this.size; x++) {
             for (let y = 0; y < this.size; y++) {
                 for (let z = 0; z < this.size; z++) {
-                    const block = this.getBlock(x, y, z);
-                    if (!block) continue;
+                    const id = this.getBlockId(x, y, z);
+                    if (id === BlockId.AIR) continue;
+                    
+                    const layer = Blocks.isTranslucent(id) ? translucent : opaque;
                     
                     // Check each face
                     // Top face (Y+)
-                    if (!this.getBlock(x, y + 1, z)) {
-                        this.addFace(vertices, indices, vertexCount, x, y, z, 'top');
-                        vertexCount += 4;
+                    if (!Blocks.isFaceOccluded(id, this.sampleBlockId(x, y + 1, z))) {
+                        this.addFace(layer.vertices, layer.indices, layer.vertexCount, x, y, z, 'top', id, this.sampleLight(x, y + 1, z));
+                        layer.vertexCount += 4;
                     }
                     
                     // Bottom face (Y-)
-                    if (!this.getBlock(x, y - 1, z)) {
-                        this.addFace(vertices, indices, vertexCount, x, y, z, 'bottom');
-                        vertexCount += 4;
+                    if (!Blocks.isFaceOccluded(id, this.sampleBlockId(x, y - 1, z))) {
+                        this.addFace(layer.vertices, layer.indices, layer.vertexCount, x, y, z, 'bottom', id, this.sampleLight(x, y - 1, z));
+                        layer.vertexCount += 4;
                     }
                     
                     // Front face (Z+)
-                    if (!this.getBlock(x, y, z + 1)) {
-                        this.addFace(vertices, indices, vertexCount, x, y, z, 'front');
-                        vertexCount += 4;
+                    if (!Blocks.isFaceOccluded(id, this.sampleBlockId(x, y, z + 1))) {
+                        this.addFace(layer.vertices, layer.indices, layer.vertexCount, x, y, z, 'front', id, this.sampleLight(x, y, z + 1));
+                        layer.vertexCount += 4;
                     }
                     
                     // Back face (Z-)
-                    if (!this.getBlock(x, y, z - 1)) {
-                        this.addFace(vertices, indices, vertexCount, x, y, z, 'back');
-                        vertexCount += 4;
+                    if (!Blocks.isFaceOccluded(id, this.sampleBlockId(x, y, z - 1))) {
+                        this.addFace(layer.vertices, layer.indices, layer.vertexCount, x, y, z, 'back', id, this.sampleLight(x, y, z - 1));
+                        layer.vertexCount += 4;
                     }
                     
                     // Right face (X+)
-                    if (!this.getBlock(x + 1, y, z)) {
-                        this.addFace(vertices, indices, vertexCount, x, y, z, 'right');
-                        vertexCount += 4;
+                    if (!Blocks.isFaceOccluded(id, this.sampleBlockId(x + 1, y, z))) {
+                        this.addFace(layer.vertices, layer.indices, layer.vertexCount, x, y, z, 'right', id, this.sampleLight(x + 1, y, z));
+                        layer.vertexCount += 4;
                     }
                     
                     // Left face (X-)
-                    if (!this.getBlock(x - 1, y, z)) {
-                        this.addFace(vertices, indices, vertexCount, x, y, z, 'left');
-                        vertexCount += 4;
+                    if (!Blocks.isFaceOccluded(id, this.sampleBlockId(x - 1, y, z))) {
+                        this.addFace(layer.vertices, layer.indices, layer.vertexCount, x, y, z, 'left', id, this.sampleLight(x - 1, y, z));
+                        layer.vertexCount += 4;
                     }
                 }
             }
         }
         
-        // Store mesh data
-        this.mesh = {
-            vertices: new Float32Array(vertices),
-            indices: new Uint16Array(indices),
-            vertexCount: vertexCount,
-            indexCount: indices.length,
-            stride: 36 // 3 pos + 2 uv + 3 normal + 4 color = 12 floats * 4 bytes
-        };
+        const toMesh = (layer) => ({
+            vertices: new Uint8Array(layer.vertices),
+            indices: createIndexArray(layer.indices, layer.vertexCount),
+            vertexCount: layer.vertexCount,
+            indexCount: layer.indices.length,
+            stride: VERTEX_STRIDE
+        });
         
-        this.needsRebuild = false;
+        return {
+            opaque: toMesh(opaque),
+            translucent: translucent.vertexCount > 0 ? toMesh(translucent) : null
+        };
     }
     
     /**
      * Add a face to the mesh
+     * @param {number} light - Light byte of the block the face looks into
      */
-    addFace(vertices, indices, vertexOffset, x, y, z, face) {
+    addFace(vertices, indices, vertexOffset, x, y, z, face, blockId, light = FULL_LIGHT) {
+        // Corners are counter-clockwise seen from outside the block,
+        // starting at the bottom-left of the face texture
         const positions = {
             top: [
-                [0, 1, 0], [1, 1, 0], [1, 1, 1], [0, 1, 1]
+                [0, 1, 1], [1, 1, 1], [1, 1, 0], [0, 1, 0]
             ],
             bottom: [
-                [0, 0, 1], [1, 0, 1], [1, 0, 0], [0, 0, 0]
+                [0, 0, 0], [1, 0, 0], [1, 0, 1], [0, 0, 1]
             ],
             front: [
                 [0, 0, 1], [1, 0, 1], [1, 1, 1], [0, 1, 1]
@@ -155,71 +462,75 @@ export class Chunk {
             ]
         };
         
-        const normals = {
-            top: [0, 1, 0],
-            bottom: [0, -1, 0],
-            front: [0, 0, 1],
-            back: [0, 0, -1],
-            right: [1, 0, 0],
-            left: [-1, 0, 0]
-        };
-        
-        const uvs = [
-            [0, 0], [1, 0], [1, 1], [0, 1]
-        ];
-        
         const facePositions = positions[face];
-        const normal = normals[face];
+        const faceIndex = FACE_INDEX[face];
+        const faceByte = Blocks.lightEmission[blockId] > 0 ? faceIndex | FACE_EMISSIVE : faceIndex;
+        const tile = Blocks.getFaceTile(blockId, face);
+        const occlusion = this.computeFaceOcclusion(x, y, z, faceIndex, facePositions);
         
-        // Add vertices
+        // Add vertices (see VERTEX_BYTES)
         for (let i = 0; i < 4; i++) {
             const pos = facePositions[i];
-            const uv = uvs[i];
-            
-            // Position
-            vertices.push(x + pos[0], y + pos[1], z + pos[2]);
-            // UV
-            vertices.push(uv[0], uv[1]);
-            // Normal
-            vertices.push(normal[0], normal[1], normal[2]);
-            // Color (white)
-            vertices.push(1, 1, 1, 1);
+            vertices.push(
+                x + pos[0], y + pos[1], z + pos[2], faceByte,
+                tile, light, (occlusion >> (i * 2)) & 3, 0
+            );
         }
         
         // Add indices (two triangles)
-        indices.push(
-            vertexOffset, vertexOffset + 1, vertexOffset + 2,
-            vertexOffset, vertexOffset + 2, vertexOffset + 3
-        );
+        if (isQuadFlipped(occlusion)) {
+            indices.push(
+                vertexOffset + 1, vertexOffset + 2, vertexOffset + 3,
+                vertexOffset + 1, vertexOffset + 3, vertexOffset
+            );
+        } else {
+            indices.push(
+                vertexOffset, vertexOffset + 1, vertexOffset + 2,
+                vertexOffset, vertexOffset + 2, vertexOffset + 3
+            );
+        }
     }
     
     /**
-     * Create WebGL buffers
+     * Ambient occlusion of a face's corners, from the two blocks beside each
+     * corner and the one diagonal to it in the layer the face looks into
+     * @param {number} faceIndex - FACE_INDEX of the face
+     * @param {number[][]} corners - Corner positions within the block (0 or 1 per axis)
+     * @returns {number} occlusion per corner, 2 bits each in corner order
+     *   (AO_OPEN = unoccluded, 0 = darkest)
      */
-    createBuffers(gl) {
-        if (!this.mesh || this.mesh.vertexCount === 0) return;
+    computeFaceOcclusion(x, y, z, faceIndex, corners) {
+        const [nx, ny, nz] = NEIGHBOR_OFFSETS[faceIndex];
+        const axis = nx !== 0 ? 0 : (ny !== 0 ? 1 : 2);
+        let occlusion = 0;
         
-        // Create vertex buffer
-        if (!this.vertexBuffer) {
-            this.vertexBuffer = gl.createBuffer();
-        }
-        gl.bindBuffer(gl.ARRAY_BUFFER, this.vertexBuffer);
-        gl.bufferData(gl.ARRAY_BUFFER, this.mesh.vertices, gl.STATIC_DRAW);
+        x += nx;
+        y += ny;
+        z += nz;
         
-        // Create index buffer
-        if (!this.indexBuffer) {
-            this.indexBuffer = gl.createBuffer();
+        for (let i = 0; i < 4; i++) {
+            // Step towards the corner along the two axes across the face
+            const corner = corners[i];
+            const dx = axis === 0 ? 0 : corner[0] * 2 - 1;
+            const dy = axis === 1 ? 0 : corner[1] * 2 - 1;
+            const dz = axis === 2 ? 0 : corner[2] * 2 - 1;
+            
+            const side1 = axis === 0 ? this.occludes(x, y + dy, z) : this.occludes(x + dx, y, z);
+            const side2 = axis === 2 ? this.occludes(x, y + dy, z) : this.occludes(x, y, z + dz);
+            
+            // Two sides already close the corner off
+            const ao = side1 && side2 ? 0 : AO_OPEN - side1 - side2 - this.occludes(x + dx, y + dy, z + dz);
+            occlusion |= ao << (i * 2);
         }
-        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.indexBuffer);
-        gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, this.mesh.indices, gl.STATIC_DRAW);
         
-        // Update counts
-        this.vertexCount = this.mesh.vertexCount;
-        this.indexCount = this.mesh.indexCount;
-        
-        // Store buffer references in mesh
-        this.mesh.vertexBuffer = this.vertexBuffer;
-        this.mesh.indexBuffer = this.indexBuffer;
+        return occlusion;
+    }
+    
+    /**
+     * Check if a block casts ambient occlusion (1) or not (0)
+     */
+    occludes(x, y, z) {
+        return Blocks.isTransparent(this.sampleBlockId(x, y, z)) ? 0 : 1;
     }
     
     /**
@@ -227,11 +538,48 @@ export class Chunk {
      */
     destroy() {
         this.blocks = null;
+        this.light = null;
         this.mesh = null;
-        
-        // WebGL buffer cleanup would be done by the renderer
-        this.vertexBuffer = null;
-        this.indexBuffer = null;
-        this.vao = null;
+        this.translucentMesh = null;
     }
+}
+
+/**
+ * Check if a quad should be split along its corner 1-3 diagonal instead of
+ * 0-2: the diagonal joining the brighter corners keeps occlusion from
+ * smearing across the face
+ * @param {number} occlusion - Corner occlusion from Chunk.computeFaceOcclusion
+ */
+export function isQuadFlipped(occlusion) {
+    return (occlusion & 3) + ((occlusion >> 4) & 3) < ((occlusion >> 2) & 3) + ((occlusion >> 6) & 3);
+}
+
+/**
+ * Push a block onto the connectivity flood fill if it isn't opaque and
+ * hasn't been reached yet
+ * @returns {number} the new stack top
+ */
+function floodVisit(index, blocks, visited, stack, top) {
+    if (!visited[index] && Blocks.isTransparent(blocks[index])) {
+        visited[index] = 1;
+        stack[top++] = index;
+    }
+    return top;
+}
+
+/**
+ * Neighbor (ALL_NEIGHBOR_OFFSETS index) holding a position just outside a chunk
+ */
+function neighborIndex(x, y, z, size) {
+    const dx = x < 0 ? -1 : (x >= size ? 1 : 0);
+    const dy = y < 0 ? -1 : (y >= size ? 1 : 0);
+    const dz = z < 0 ? -1 : (z >= size ? 1 : 0);
+    return NEIGHBOR_LOOKUP[(dx + 1) + (dy + 1) * 3 + (dz + 1) * 9];
+}
+
+/**
+ * Index of a position just outside a chunk within the neighbor holding it
+ */
+function wrapIndex(x, y, z, size) {
+    return (x + size) % size + ((y + size) % size) * size + ((z + size) % size) * size * size;
 }
\ No newline at end of file
@@ -0,0 +1,182 @@
+/**
+ * Voxel Game - Day/Night Cycle
+ * World clock driving the sun and moon, sky and fog colors and scene lighting
+ * Version: 0.0.1
+ */
+
+/**
+ * Sky colors: zenith and horizon for full day, twilight and night
+ */
+const SKY_COLORS = {
+    day: { zenith: [0.32, 0.56, 0.92], horizon: [0.53, 0.81, 0.92] },
+    twilight: { zenith: [0.24, 0.27, 0.5], horizon: [0.96, 0.56, 0.32] },
+    night: { zenith: [0.01, 0.01, 0.04], horizon: [0.04, 0.05, 0.1] }
+};
+
+// Direct light colors of the sun at noon, at the horizon, and of the moon
+const SUN_COLOR = [1.0, 0.98, 0.92];
+const LOW_SUN_COLOR = [1.0, 0.62, 0.36];
+const MOON_COLOR = [0.16, 0.18, 0.26];
+
+// Ambient light at noon and at midnight
+const DAY_AMBIENT = [0.4, 0.4, 0.4];
+const NIGHT_AMBIENT = [0.1, 0.11, 0.16];
+
+// Tilt of the sun's path towards +Z, so noon light isn't straight down
+const ORBIT_TILT = 0.35;
+
+export class DayNightCycle {
+    /**
+     * @param {Object} options
+     * @param {number} [options.dayLength] - Real seconds per day at time scale 1
+     * @param {number} [options.timeScale] - Clock speed multiplier
+     * @param {number} [options.time] - Starting time of day, 0-1 (0 midnight,
+     *   0.25 sunrise, 0.5 noon, 0.75 sunset)
+     * @param {boolean} [options.frozen] - Start with the clock stopped
+     */
+    constructor(options = {}) {
+        this.dayLength = options.dayLength || 1200;
+        this.timeScale = options.timeScale ?? 1;
+        this.time = 0;
+        this.frozen = !!options.frozen;
+        
+        // Days passed, for anything counting them
+        this.day = 0;
+        
+        // Derived state, refreshed by setTime
+        this.sunDirection = new Float32Array(3); // towards the sun
+        this.moonDirection = new Float32Array(3);
+        this.lightDirection = new Float32Array(3); // direction light travels
+        this.lightColor = new Float32Array(3);
+        this.ambientLight = new Float32Array(3);
+        this.zenithColor = new Float32Array(3);
+        this.horizonColor = new Float32Array(3); // also the fog color
+        this.starVisibility = 0;
+        this.skyRotation = 0; // radians the sky has turned since sunrise
+        
+        this.setTime(options.time ?? 0.3);
+    }
+    
+    /**
+     * Advance the clock
+     * @param {number} deltaTime - Seconds
+     */
+    update(deltaTime) {
+        if (this.frozen || this.timeScale === 0) return;
+        
+        const time = this.time + deltaTime * this.timeScale / this.dayLength;
+        this.day += Math.floor(time);
+        this.setTime(time);
+    }
+    
+    /**
+     * Set the time of day, 0-1 (wraps)
+     */
+    setTime(time) {
+        this.time = time - Math.floor(time);
+        this.updateSky();
+    }
+    
+    /**
+     * Get the time of day, 0-1
+     */
+    getTime() {
+        return this.time;
+    }
+    
+    /**
+     * Stop or restart the clock
+     */
+    setFrozen(frozen) {
+        this.frozen = frozen;
+    }
+    
+    /**
+     * Set the clock speed multiplier (0 also stops it)
+     */
+    setTimeScale(timeScale) {
+        this.timeScale = timeScale;
+    }
+    
+    /**
+     * Check if the sun is up
+     */
+    isDay() {
+        return this.sunDirection[1] > 0;
+    }
+    
+    /**
+     * Recompute sun, moon, colors and lighting for the current time
+     */
+    updateSky() {
+        // Sun rises in +X at 0.25, peaks at 0.5 and sets in -X at 0.75
+        const angle = (this.time - 0.25) * Math.PI * 2;
+        this.skyRotation = angle;
+        
+        const sun = this.sunDirection;
+        sun[0] = Math.cos(angle);
+        sun[1] = Math.sin(angle);
+        sun[2] = ORBIT_TILT;
+        normalize(sun);
+        
+        const moon = this.moonDirection;
+        moon[0] = -sun[0];
+        moon[1] = -sun[1];
+        moon[2] = -sun[2];
+        
+        const sunHeight = sun[1];
+        
+        // 0 at night, 1 in daylight; twilight peaks with the sun on the horizon
+        const daylight = smoothstep(-0.15, 0.25, sunHeight);
+        const twilight = Math.max(0, 1 - Math.abs(sunHeight) / 0.3);
+        
+        for (let i = 0; i < 3; i++) {
+            const zenith = lerp(SKY_COLORS.night.zenith[i], SKY_COLORS.day.zenith[i], daylight);
+            const horizon = lerp(SKY_COLORS.night.horizon[i], SKY_COLORS.day.horizon[i], daylight);
+            this.zenithColor[i] = lerp(zenith, SKY_COLORS.twilight.zenith[i], twilight * 0.5);
+            this.horizonColor[i] = lerp(horizon, SKY_COLORS.twilight.horizon[i], twilight * 0.6);
+            this.ambientLight[i] = lerp(NIGHT_AMBIENT[i], DAY_AMBIENT[i], daylight);
+        }
+        
+        // Direct light from the sun while it's up, else from the moon; both
+        // fade out near the horizon so the switch isn't visible
+        const source = sunHeight > 0 ? sun : moon;
+        const fade = smoothstep(0, 0.15, Math.abs(sunHeight));
+        
+        for (let i = 0; i < 3; i++) {
+            this.lightDirection[i] = -source[i];
+            
+            const color = sunHeight > 0
+                ? lerp(LOW_SUN_COLOR[i], SUN_COLOR[i], smoothstep(0, 0.5, sunHeight))
+                : MOON_COLOR[i];
+            this.lightColor[i] = color * fade;
+        }
+        
+        this.starVisibility = 1 - smoothstep(-0.2, 0.05, sunHeight);
+    }
+}
+
+/**
+ * Normalize a 3-vector in place
+ */
+function normalize(v) {
+    const length = Math.hypot(v[0], v[1], v[2]);
+    v[0] /= length;
+    v[1] /= length;
+    v[2] /= length;
+}
+
+/**
+ * Linear interpolation
+ */
+function lerp(a, b, t) {
+    return a + (b - a) * t;
+}
+
+/**
+ * Hermite step between two edges, as in GLSL
+ */
+function smoothstep(edge0, edge1, x) {
+    const t = Math.min(Math.max((x - edge0) / (edge1 - edge0), 0), 1);
+    return t * t * (3 - 2 * t);
+}
\ No newline at end of file
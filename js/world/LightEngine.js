@@ -0,0 +1,338 @@
+/**
+ * Voxel Game - Light Engine
+ * Flood-fill sky and block light through loaded chunks, stored per block in
+ * Chunk.light (sky << 4 | block, the vertex light byte) and updated
+ * incrementally as blocks change
+ * Version: 0.0.1
+ */
+
+import { NEIGHBOR_OFFSETS } from './Chunk.js';
+import { Blocks, BlockId } from './Block.js';
+
+export const MAX_LIGHT = 15;
+
+// Light channels: bit offset within the light byte
+const SKY = 4;
+const BLOCK = 0;
+
+// NEIGHBOR_OFFSETS index of -Y; full sky light travels down undiminished
+const DOWN = 3;
+
+export class LightEngine {
+    /**
+     * @param {World} world - Provides the loaded chunks
+     */
+    constructor(world) {
+        this.world = world;
+        this.size = world.chunkSize;
+        this.verticalChunks = Math.ceil(world.worldHeight / world.chunkSize);
+        
+        // BFS queues: [chunk, index] pairs to spread light from, and
+        // [chunk, index, level] triples whose old light is being taken back
+        this.queue = [];
+        this.removalQueue = [];
+        
+        // Chunks whose mesh sees changed light, remeshed by flush()
+        this.dirtyChunks = new Set();
+        
+        // Result of step()
+        this.nextChunk = null;
+        this.nextIndex = 0;
+    }
+    
+    /**
+     * Light a newly loaded chunk: open sky from above the world, its light
+     * sources and the light of loaded neighbors, spreading into those
+     * neighbors in turn
+     */
+    lightChunk(chunk) {
+        const size = this.size;
+        const area = size * size;
+        const blocks = chunk.blocks;
+        
+        chunk.light.fill(0);
+        
+        for (const channel of [SKY, BLOCK]) {
+            if (channel === SKY && chunk.position.y === this.verticalChunks - 1) {
+                for (let z = 0; z < size; z++) {
+                    for (let x = 0; x < size; x++) {
+                        this.seedOpenSky(chunk, x + (size - 1) * size + z * area);
+                    }
+                }
+            }
+            
+            if (channel === BLOCK) {
+                for (let index = 0; index < blocks.length; index++) {
+                    const emission = Blocks.lightEmission[blocks[index]];
+                    if (emission > 0) {
+                        this.setLevel(chunk, index, BLOCK, emission);
+                        this.queue.push(chunk, index);
+                    }
+                }
+            }
+            
+            this.pullFromNeighbors(chunk);
+            this.propagate(channel);
+        }
+        
+        this.dirtyChunks.add(chunk);
+        this.flush();
+    }
+    
+    /**
+     * Relight around a block that just changed (call after Chunk.setBlock)
+     * @param {Chunk} chunk
+     * @param {number} x - Local block position
+     */
+    updateBlock(chunk, x, y, z) {
+        const size = this.size;
+        const index = x + y * size + z * size * size;
+        const id = chunk.blocks[index];
+        
+        for (const channel of [SKY, BLOCK]) {
+            // Take back the light the cell had and everything it fed
+            const level = getLevel(chunk.light[index], channel);
+            if (level > 0) {
+                this.setLevel(chunk, index, channel, 0);
+                this.removalQueue.push(chunk, index, level);
+                this.removeLight(channel);
+            }
+            
+            if (channel === BLOCK && Blocks.lightEmission[id] > 0) {
+                this.setLevel(chunk, index, BLOCK, Blocks.lightEmission[id]);
+                this.queue.push(chunk, index);
+            }
+            
+            // Let the surroundings light the cell again
+            if (Blocks.isTransparent(id)) {
+                for (let side = 0; side < 6; side++) {
+                    if (this.step(chunk, index, side)) {
+                        this.queue.push(this.nextChunk, this.nextIndex);
+                    }
+                }
+                
+                if (channel === SKY && chunk.position.y === this.verticalChunks - 1 && y === size - 1) {
+                    this.seedOpenSky(chunk, index);
+                }
+            }
+            
+            this.propagate(channel);
+        }
+        
+        this.flush();
+    }
+    
+    /**
+     * Give a top-of-the-world cell full sky light if light passes it
+     */
+    seedOpenSky(chunk, index) {
+        if (Blocks.isTransparent(chunk.blocks[index])) {
+            this.setLevel(chunk, index, SKY, MAX_LIGHT);
+            this.queue.push(chunk, index);
+        }
+    }
+    
+    /**
+     * Queue the cells of loaded neighbors that touch a chunk, so their light
+     * spreads into it
+     */
+    pullFromNeighbors(chunk) {
+        const size = this.size;
+        const area = size * size;
+        const { x, y, z } = chunk.position;
+        
+        for (let side = 0; side < 6; side++) {
+            const [dx, dy, dz] = NEIGHBOR_OFFSETS[side];
+            const neighbor = this.getChunk(x + dx, y + dy, z + dz);
+            if (!neighbor) continue;
+            
+            // The neighbor's layer facing this chunk
+            const axis = dx !== 0 ? 0 : (dy !== 0 ? 1 : 2);
+            const layer = (dx + dy + dz) > 0 ? 0 : size - 1;
+            
+            for (let j = 0; j < size; j++) {
+                for (let i = 0; i < size; i++) {
+                    let index;
+                    if (axis === 0) {
+                        index = layer + i * size + j * area;
+                    } else if (axis === 1) {
+                        index = i + layer * size + j * area;
+                    } else {
+                        index = i + j * size + layer * area;
+                    }
+                    
+                    if (neighbor.light[index] !== 0) {
+                        this.queue.push(neighbor, index);
+                    }
+                }
+            }
+        }
+    }
+    
+    /**
+     * Spread light from the queued cells into transparent neighbors, one
+     * level dimmer per block; full sky light falls through air without
+     * dimming
+     */
+    propagate(channel) {
+        const queue = this.queue;
+        
+        for (let head = 0; head < queue.length; head += 2) {
+            const chunk = queue[head];
+            const index = queue[head + 1];
+            if (!chunk.blocks) continue;
+            
+            const level = getLevel(chunk.light[index], channel);
+            if (level <= 1) continue;
+            
+            for (let side = 0; side < 6; side++) {
+                if (!this.step(chunk, index, side)) continue;
+                
+                const next = this.nextChunk;
+                const nextIndex = this.nextIndex;
+                const id = next.blocks[nextIndex];
+                if (!Blocks.isTransparent(id)) continue;
+                
+                const value = channel === SKY && side === DOWN && level === MAX_LIGHT && id === BlockId.AIR
+                    ? MAX_LIGHT
+                    : level - 1;
+                
+                if (getLevel(next.light[nextIndex], channel) < value) {
+                    this.setLevel(next, nextIndex, channel, value);
+                    queue.push(next, nextIndex);
+                }
+            }
+        }
+        
+        queue.length = 0;
+    }
+    
+    /**
+     * Darken the cells lit through the removal queue's cells; brighter
+     * cells found on the way are queued to refill the gap
+     */
+    removeLight(channel) {
+        const removal = this.removalQueue;
+        
+        for (let head = 0; head < removal.length; head += 3) {
+            const chunk = removal[head];
+            const index = removal[head + 1];
+            const level = removal[head + 2];
+            if (!chunk.blocks) continue;
+            
+            for (let side = 0; side < 6; side++) {
+                if (!this.step(chunk, index, side)) continue;
+                
+                const next = this.nextChunk;
+                const nextIndex = this.nextIndex;
+                const value = getLevel(next.light[nextIndex], channel);
+                if (value === 0) continue;
+                
+                const fedFromAbove = channel === SKY && side === DOWN && level === MAX_LIGHT;
+                
+                if (value < level || fedFromAbove) {
+                    this.setLevel(next, nextIndex, channel, 0);
+                    removal.push(next, nextIndex, value);
+                    
+                    // Light sources keep their own light
+                    const emission = channel === BLOCK ? Blocks.lightEmission[next.blocks[nextIndex]] : 0;
+                    if (emission > 0) {
+                        this.setLevel(next, nextIndex, BLOCK, emission);
+                        this.queue.push(next, nextIndex);
+                    }
+                } else {
+                    this.queue.push(next, nextIndex);
+                }
+            }
+        }
+        
+        removal.length = 0;
+    }
+    
+    /**
+     * Find the cell next to `index` towards `side` (NEIGHBOR_OFFSETS order),
+     * in the chunk or a loaded neighbor, into nextChunk and nextIndex
+     * @returns {boolean} false when that neighbor isn't loaded
+     */
+    step(chunk, index, side) {
+        const size = this.size;
+        const area = size * size;
+        const [dx, dy, dz] = NEIGHBOR_OFFSETS[side];
+        
+        const x = index % size + dx;
+        const y = Math.floor(index / size) % size + dy;
+        const z = Math.floor(index / area) + dz;
+        
+        if (x >= 0 && x < size && y >= 0 && y < size && z >= 0 && z < size) {
+            this.nextChunk = chunk;
+            this.nextIndex = x + y * size + z * area;
+            return true;
+        }
+        
+        const { position } = chunk;
+        const neighbor = this.getChunk(position.x + dx, position.y + dy, position.z + dz);
+        if (!neighbor) return false;
+        
+        this.nextChunk = neighbor;
+        this.nextIndex = (x + size) % size + ((y + size) % size) * size + ((z + size) % size) * area;
+        return true;
+    }
+    
+    /**
+     * Set a cell's level in one channel, marking the chunks that mesh
+     * against it
+     */
+    setLevel(chunk, index, channel, value) {
+        chunk.light[index] = (chunk.light[index] & ~(MAX_LIGHT << channel)) | (value << channel);
+        this.dirtyChunks.add(chunk);
+        
+        // Neighbors sample border cells for their faces
+        const size = this.size;
+        const x = index % size;
+        const y = Math.floor(index / size) % size;
+        const z = Math.floor(index / (size * size));
+        const { position } = chunk;
+        
+        if (x === 0) this.markDirty(position.x - 1, position.y, position.z);
+        if (x === size - 1) this.markDirty(position.x + 1, position.y, position.z);
+        if (y === 0) this.markDirty(position.x, position.y - 1, position.z);
+        if (y === size - 1) this.markDirty(position.x, position.y + 1, position.z);
+        if (z === 0) this.markDirty(position.x, position.y, position.z - 1);
+        if (z === size - 1) this.markDirty(position.x, position.y, position.z + 1);
+    }
+    
+    /**
+     * Mark a chunk for remeshing if loaded
+     */
+    markDirty(x, y, z) {
+        const chunk = this.getChunk(x, y, z);
+        if (chunk) {
+            this.dirtyChunks.add(chunk);
+        }
+    }
+    
+    /**
+     * Get a loaded chunk by chunk coordinates
+     */
+    getChunk(x, y, z) {
+        const chunk = this.world.chunks.get(`${x},${y},${z}`);
+        return chunk && chunk.blocks ? chunk : null;
+    }
+    
+    /**
+     * Remesh chunks whose light changed
+     */
+    flush() {
+        for (const chunk of this.dirtyChunks) {
+            chunk.needsRebuild = true;
+        }
+        this.dirtyChunks.clear();
+    }
+}
+
+/**
+ * Read one channel of a light byte
+ */
+function getLevel(light, channel) {
+    return (light >> channel) & MAX_LIGHT;
+}
\ No newline at end of file
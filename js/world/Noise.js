@@ -0,0 +1,272 @@
+/**
+ * Voxel Game - Noise
+ * Seeded PRNG and 2D/3D simplex noise for terrain generation
+ * Version: 0.0.1
+ */
+
+/**
+ * Simplex gradient directions (cube edge midpoints); 2D uses their x/y
+ */
+const GRADIENTS = new Int8Array([
+    1, 1, 0, -1, 1, 0, 1, -1, 0, -1, -1, 0,
+    1, 0, 1, -1, 0, 1, 1, 0, -1, -1, 0, -1,
+    0, 1, 1, 0, -1, 1, 0, 1, -1, 0, -1, -1
+]);
+
+// Skew/unskew factors between simplex and grid space
+const F2 = 0.5 * (Math.sqrt(3) - 1);
+const G2 = (3 - Math.sqrt(3)) / 6;
+const F3 = 1 / 3;
+const G3 = 1 / 6;
+
+/**
+ * Deterministic PRNG (mulberry32); same seed, same sequence on every machine
+ */
+export class SeededRandom {
+    /**
+     * @param {number|string} seed - Any value; hashed to 32 bits by its string form
+     */
+    constructor(seed) {
+        this.state = SeededRandom.hashSeed(seed);
+    }
+    
+    /**
+     * Hash a seed value to an unsigned 32-bit integer (FNV-1a)
+     */
+    static hashSeed(seed) {
+        const text = String(seed);
+        let hash = 2166136261;
+        
+        for (let i = 0; i < text.length; i++) {
+            hash = Math.imul(hash ^ text.charCodeAt(i), 16777619);
+        }
+        
+        return hash >>> 0;
+    }
+    
+    /**
+     * Next float in [0, 1)
+     */
+    next() {
+        let t = this.state = (this.state + 0x6D2B79F5) | 0;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    
+    /**
+     * Next integer in [0, max)
+     */
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+}
+
+/**
+ * Simplex noise with a seeded permutation table
+ * Only uses +, *, floor and table lookups, so results are bit-identical across engines
+ */
+export class SimplexNoise {
+    /**
+     * @param {number|string} seed
+     */
+    constructor(seed) {
+        const random = new SeededRandom(seed);
+        
+        // Shuffled 0..255, doubled to skip wrapping indices
+        const permutation = new Uint8Array(256);
+        for (let i = 0; i < 256; i++) {
+            permutation[i] = i;
+        }
+        for (let i = 255; i > 0; i--) {
+            const j = random.nextInt(i + 1);
+            const swap = permutation[i];
+            permutation[i] = permutation[j];
+            permutation[j] = swap;
+        }
+        
+        this.perm = new Uint8Array(512);
+        this.gradIndex = new Uint8Array(512);
+        for (let i = 0; i < 512; i++) {
+            this.perm[i] = permutation[i & 255];
+            this.gradIndex[i] = (this.perm[i] % 12) * 3;
+        }
+    }
+    
+    /**
+     * 2D simplex noise
+     * @returns {number} value in [-1, 1]
+     */
+    noise2D(x, y) {
+        const perm = this.perm;
+        const gradIndex = this.gradIndex;
+        
+        // Find the simplex cell containing the point
+        const s = (x + y) * F2;
+        const i = Math.floor(x + s);
+        const j = Math.floor(y + s);
+        const t = (i + j) * G2;
+        const x0 = x - (i - t);
+        const y0 = y - (j - t);
+        
+        // Lower or upper triangle of the cell
+        const i1 = x0 > y0 ? 1 : 0;
+        const j1 = x0 > y0 ? 0 : 1;
+        
+        const x1 = x0 - i1 + G2;
+        const y1 = y0 - j1 + G2;
+        const x2 = x0 - 1 + 2 * G2;
+        const y2 = y0 - 1 + 2 * G2;
+        
+        const ii = i & 255;
+        const jj = j & 255;
+        
+        let n = 0;
+        
+        let t0 = 0.5 - x0 * x0 - y0 * y0;
+        if (t0 > 0) {
+            const g = gradIndex[ii + perm[jj]];
+            t0 *= t0;
+            n += t0 * t0 * (GRADIENTS[g] * x0 + GRADIENTS[g + 1] * y0);
+        }
+        
+        let t1 = 0.5 - x1 * x1 - y1 * y1;
+        if (t1 > 0) {
+            const g = gradIndex[ii + i1 + perm[jj + j1]];
+            t1 *= t1;
+            n += t1 * t1 * (GRADIENTS[g] * x1 + GRADIENTS[g + 1] * y1);
+        }
+        
+        let t2 = 0.5 - x2 * x2 - y2 * y2;
+        if (t2 > 0) {
+            const g = gradIndex[ii + 1 + perm[jj + 1]];
+            t2 *= t2;
+            n += t2 * t2 * (GRADIENTS[g] * x2 + GRADIENTS[g + 1] * y2);
+        }
+        
+        return 70 * n;
+    }
+    
+    /**
+     * 3D simplex noise
+     * @returns {number} value in [-1, 1]
+     */
+    noise3D(x, y, z) {
+        const perm = this.perm;
+        const gradIndex = this.gradIndex;
+        
+        // Find the simplex cell containing the point
+        const s = (x + y + z) * F3;
+        const i = Math.floor(x + s);
+        const j = Math.floor(y + s);
+        const k = Math.floor(z + s);
+        const t = (i + j + k) * G3;
+        const x0 = x - (i - t);
+        const y0 = y - (j - t);
+        const z0 = z - (k - t);
+        
+        // Which of the six tetrahedra the point is in
+        let i1, j1, k1, i2, j2, k2;
+        if (x0 >= y0) {
+            if (y0 >= z0) {
+                i1 = 1; j1 = 0; k1 = 0; i2 = 1; j2 = 1; k2 = 0;
+            } else if (x0 >= z0) {
+                i1 = 1; j1 = 0; k1 = 0; i2 = 1; j2 = 0; k2 = 1;
+            } else {
+                i1 = 0; j1 = 0; k1 = 1; i2 = 1; j2 = 0; k2 = 1;
+            }
+        } else {
+            if (y0 < z0) {
+                i1 = 0; j1 = 0; k1 = 1; i2 = 0; j2 = 1; k2 = 1;
+            } else if (x0 < z0) {
+                i1 = 0; j1 = 1; k1 = 0; i2 = 0; j2 = 1; k2 = 1;
+            } else {
+                i1 = 0; j1 = 1; k1 = 0; i2 = 1; j2 = 1; k2 = 0;
+            }
+        }
+        
+        const x1 = x0 - i1 + G3;
+        const y1 = y0 - j1 + G3;
+        const z1 = z0 - k1 + G3;
+        const x2 = x0 - i2 + 2 * G3;
+        const y2 = y0 - j2 + 2 * G3;
+        const z2 = z0 - k2 + 2 * G3;
+        const x3 = x0 - 1 + 3 * G3;
+        const y3 = y0 - 1 + 3 * G3;
+        const z3 = z0 - 1 + 3 * G3;
+        
+        const ii = i & 255;
+        const jj = j & 255;
+        const kk = k & 255;
+        
+        let n = 0;
+        
+        let t0 = 0.6 - x0 * x0 - y0 * y0 - z0 * z0;
+        if (t0 > 0) {
+            const g = gradIndex[ii + perm[jj + perm[kk]]];
+            t0 *= t0;
+            n += t0 * t0 * (GRADIENTS[g] * x0 + GRADIENTS[g + 1] * y0 + GRADIENTS[g + 2] * z0);
+        }
+        
+        let t1 = 0.6 - x1 * x1 - y1 * y1 - z1 * z1;
+        if (t1 > 0) {
+            const g = gradIndex[ii + i1 + perm[jj + j1 + perm[kk + k1]]];
+            t1 *= t1;
+            n += t1 * t1 * (GRADIENTS[g] * x1 + GRADIENTS[g + 1] * y1 + GRADIENTS[g + 2] * z1);
+        }
+        
+        let t2 = 0.6 - x2 * x2 - y2 * y2 - z2 * z2;
+        if (t2 > 0) {
+            const g = gradIndex[ii + i2 + perm[jj + j2 + perm[kk + k2]]];
+            t2 *= t2;
+            n += t2 * t2 * (GRADIENTS[g] * x2 + GRADIENTS[g + 1] * y2 + GRADIENTS[g + 2] * z2);
+        }
+        
+        let t3 = 0.6 - x3 * x3 - y3 * y3 - z3 * z3;
+        if (t3 > 0) {
+            const g = gradIndex[ii + 1 + perm[jj + 1 + perm[kk + 1]]];
+            t3 *= t3;
+            n += t3 * t3 * (GRADIENTS[g] * x3 + GRADIENTS[g + 1] * y3 + GRADIENTS[g + 2] * z3);
+        }
+        
+        return 32 * n;
+    }
+    
+    /**
+     * Fractal (fBm) sum of 2D octaves, normalized to [-1, 1]
+     */
+    fractal2D(x, y, octaves, persistence = 0.5, lacunarity = 2) {
+        let value = 0;
+        let amplitude = 1;
+        let frequency = 1;
+        let maxValue = 0;
+        
+        for (let i = 0; i < octaves; i++) {
+            value += this.noise2D(x * frequency, y * frequency) * amplitude;
+            maxValue += amplitude;
+            amplitude *= persistence;
+            frequency *= lacunarity;
+        }
+        
+        return value / maxValue;
+    }
+    
+    /**
+     * Fractal (fBm) sum of 3D octaves, normalized to [-1, 1]
+     */
+    fractal3D(x, y, z, octaves, persistence = 0.5, lacunarity = 2) {
+        let value = 0;
+        let amplitude = 1;
+        let frequency = 1;
+        let maxValue = 0;
+        
+        for (let i = 0; i < octaves; i++) {
+            value += this.noise3D(x * frequency, y * frequency, z * frequency) * amplitude;
+            maxValue += amplitude;
+            amplitude *= persistence;
+            frequency *= lacunarity;
+        }
+        
+        return value / maxValue;
+    }
+}
\ No newline at end of file
@@ -1,25 +1,66 @@
 /**
  * Voxel Game - Terrain Generator
- * Procedural terrain generation with Perlin noise
+ * Procedural terrain generation with seeded simplex noise, biomes and caves
  * Version: 0.0.1
  */
 
+import { BlockId } from './Block.js';
+import { SimplexNoise, SeededRandom } from './Noise.js';
+import { BIOMES, BiomeId, BiomeMap } from './Biome.js';
+
 export class TerrainGenerator {
-    constructor(chunkSize, worldHeight) {
+    /**
+     * @param {number|string|null} seed - Same seed, same world on every machine;
+     *   shared with terrain workers. null picks a random one.
+     */
+    constructor(chunkSize, worldHeight, seed = null) {
         this.chunkSize = chunkSize;
         this.worldHeight = worldHeight;
         
         // Generation parameters
-        this.seed = Math.random() * 1000;
+        this.seed = seed ?? Math.floor(Math.random() * 2147483647);
+        this.seedHash = SeededRandom.hashSeed(this.seed);
+        this.noise = new SimplexNoise(this.seed);
         this.scale = 0.05;
         this.octaves = 4;
         this.persistence = 0.5;
         this.lacunarity = 2;
         
+        // Biome layer; height profiles and surface blocks come from biomes
+        this.biomeMap = new BiomeMap(this.noise);
+        
         // Terrain levels
-        this.waterLevel = 10;
-        this.grassLevel = 15;
+        this.waterLevel = 32;
         this.stoneLevel = 5;
+        
+        // Cave carving; sizes are scaled per biome by its caves factor
+        this.caves = {
+            // Tunnels: where two 3D noise fields are both near zero
+            tunnelScale: 0.02,
+            tunnelWidth: 0.1,
+            tunnelStretch: 1.5, // squash vertically so tunnels run mostly level
+            // Caverns: large open pockets, only this deep below the surface
+            cavernScale: 0.02,
+            cavernThreshold: 0.6,
+            cavernDepth: 20,
+            // Ravines: long V-shaped cuts open to the sky
+            ravineScale: 0.004,
+            ravineWidth: 0.03,
+            ravineMaskScale: 0.002,
+            ravineMask: 0.35,
+            ravineDepth: 30,
+            // Solid blocks left under the bed of any water column
+            sealDepth: 4
+        };
+        
+        // Noise scale of the 3D density used for overhangs
+        this.overhangScale = 0.06;
+        
+        // Highest per-column tree chance of any biome, to skip most columns early
+        this.maxTreeChance = Math.max(...BIOMES.map(biome => biome.trees));
+        
+        // Reusable result of sampleColumn()
+        this.column = { height: 0, biome: null, caves: 0, overhang: 0 };
     }
     
     /**
@@ -39,75 +80,299 @@ export class TerrainGenerator {
         const worldY = chunk.position.y * size;
         const worldZ = chunk.position.z * size;
         
+        const top = worldY + size;
+        
         // Generate terrain
         for (let x = 0; x < size; x++) {
             for (let z = 0; z < size; z++) {
-                // Get height at this position
-                const height = this.getHeightAt(worldX + x, worldZ + z);
+                const columnX = worldX + x;
+                const columnZ = worldZ + z;
                 
-                for (let y = 0; y < size; y++) {
-                    const worldYPos = worldY + y;
-                    
-                    if (worldYPos < height) {
-                        // Determine block type based on depth
-                        let blockType = 1; // Default stone
+                // Get height and biome at this position
+                const column = this.sampleColumn(columnX, columnZ);
+                const { height, biome } = column;
+                
+                let surface = biome.snowLine !== undefined && height > biome.snowLine
+                    ? BlockId.SNOW
+                    : biome.surface;
+                
+                // Beaches and lake beds instead of grass or snow at and below sea level
+                if (height <= this.waterLevel + 1 && (surface === BlockId.GRASS || surface === BlockId.SNOW)) {
+                    surface = BlockId.SAND;
+                }
+                
+                const ravineFloor = this.getRavineFloor(columnX, columnZ, column);
+                
+                // Walk down from above the chunk so surface layers continue
+                // across chunk borders; run counts solid blocks since the last air
+                let run = 0;
+                
+                for (let worldYPos = top + biome.subsurfaceDepth; worldYPos >= worldY; worldYPos--) {
+                    if (!this.isSolid(columnX, worldYPos, columnZ, column)) {
+                        run = 0;
                         
-                        if (worldYPos < this.stoneLevel) {
-                            blockType = 3; // Bedrock
-                        } else if (worldYPos < height - 3) {
-                            blockType = 1; // Stone
-                        } else if (worldYPos < height - 1) {
-                            blockType = 2; // Dirt
-                        } else {
-                            blockType = 4; // Grass
+                        // Open water up to sea level
+                        if (worldYPos < top && worldYPos >= height && worldYPos < this.waterLevel) {
+                            chunk.setBlock(x, worldYPos - worldY, z, BlockId.WATER);
                         }
-                        
-                        chunk.setBlock(x, y, z, { type: blockType, solid: true });
+                        continue;
                     }
+                    
+                    run++;
+                    if (worldYPos >= top) continue;
+                    
+                    // Determine block type based on depth
+                    let blockType = BlockId.STONE;
+                    
+                    if (worldYPos < this.stoneLevel) {
+                        blockType = BlockId.BEDROCK;
+                    } else if (this.isCave(columnX, worldYPos, columnZ, column, ravineFloor)) {
+                        continue;
+                    } else if (run === 1) {
+                        blockType = surface;
+                    } else if (run <= 1 + biome.subsurfaceDepth) {
+                        blockType = biome.subsurface;
+                    }
+                    
+                    chunk.setBlock(x, worldYPos - worldY, z, blockType);
                 }
             }
         }
         
-        // Build mesh after generation
-        chunk.buildMesh();
+        this.placeTrees(chunk);
     }
     
     /**
-     * Get terrain height at world position
+     * 3D terrain density: solid below the surface height, with noise around
+     * it in biomes that have overhangs
      */
-    getHeightAt(x, z) {
-        let height = 0;
-        let amplitude = 1;
-        let frequency = 1;
-        let maxValue = 0;
-        
-        for (let i = 0; i < this.octaves; i++) {
-            height += this.noise2D(
-                x * this.scale * frequency + this.seed,
-                z * this.scale * frequency + this.seed
-            ) * amplitude;
+    isSolid(x, y, z, column) {
+        const { height, overhang } = column;
+        
+        if (y < height - overhang) return true;
+        if (y >= height + overhang) return false;
+        
+        const s = this.overhangScale;
+        return (height - y) + this.noise.noise3D(x * s, y * s, z * s) * overhang > 0;
+    }
+    
+    /**
+     * Whether a solid block is carved out by a cave or ravine
+     */
+    isCave(x, y, z, column, ravineFloor) {
+        // Keep a seal under lakes and seas so water never hangs over a cave
+        if (column.height <= this.waterLevel && column.height - y <= this.caves.sealDepth) {
+            return false;
+        }
+        
+        if (y > ravineFloor) return true;
+        
+        const scale = column.caves;
+        if (scale <= 0) return false;
+        
+        const c = this.caves;
+        
+        // Tunnels: the intersection of two thin noise shells is a winding tube
+        const width = c.tunnelWidth * scale;
+        const ts = c.tunnelScale;
+        const ty = y * ts * c.tunnelStretch;
+        
+        if (Math.abs(this.noise.noise3D(x * ts, ty, z * ts)) < width &&
+            Math.abs(this.noise.noise3D(x * ts + 1000, ty, z * ts - 1000)) < width) {
+            return true;
+        }
+        
+        // Caverns: open pockets deep underground
+        if (column.height - y >= c.cavernDepth) {
+            const cs = c.cavernScale;
+            const cavern = this.noise.noise3D(x * cs - 2000, y * cs, z * cs + 2000);
+            if (cavern > c.cavernThreshold + (1 - Math.min(scale, 1)) * 0.2) {
+                return true;
+            }
+        }
+        
+        return false;
+    }
+    
+    /**
+     * Lowest carved height of a ravine crossing this column (Infinity if none)
+     */
+    getRavineFloor(x, z, column) {
+        const c = this.caves;
+        if (column.caves <= 0) return Infinity;
+        
+        const distance = Math.abs(this.noise.noise2D(x * c.ravineScale + 3000, z * c.ravineScale));
+        if (distance >= c.ravineWidth) return Infinity;
+        
+        // A second field decides where ravines exist, so they start and end
+        const mask = this.noise.noise2D(x * c.ravineMaskScale - 3000, z * c.ravineMaskScale);
+        if (mask <= c.ravineMask) return Infinity;
+        
+        // V-shaped profile, deepest at the center line, fading in at the ends
+        const profile = 1 - distance / c.ravineWidth;
+        const fade = Math.min(1, (mask - c.ravineMask) / 0.1);
+        const depth = c.ravineDepth * profile * fade * Math.min(column.caves, 1);
+        
+        return depth < 1 ? Infinity : column.height - depth;
+    }
+    
+    /**
+     * Place trees overlapping a chunk
+     * Trees are rooted by a per-column hash, so ones from neighboring columns
+     * outside the chunk are reproduced identically in every chunk they touch.
+     */
+    placeTrees(chunk) {
+        const size = this.chunkSize;
+        const radius = 2;
+        const worldX = chunk.position.x * size;
+        const worldY = chunk.position.y * size;
+        const worldZ = chunk.position.z * size;
+        
+        for (let x = worldX - radius; x < worldX + size + radius; x++) {
+            for (let z = worldZ - radius; z < worldZ + size + radius; z++) {
+                const roll = this.hash(x, z, 1);
+                if (roll >= this.maxTreeChance) continue;
+                
+                const column = this.sampleColumn(x, z);
+                const { height, biome } = column;
+                if (roll >= biome.trees || height <= this.waterLevel) continue;
+                
+                // Uneven ground or a ravine under the root
+                if (column.overhang > 0.5 || this.getRavineFloor(x, z, column) < height) continue;
+                
+                const trunk = 4 + Math.floor(this.hash(x, z, 2) * 3);
+                
+                // Tree spans [height, height + trunk + 1]
+                if (height + trunk + 1 < worldY || height >= worldY + size) continue;
+                
+                this.placeTree(chunk, x, height, z, trunk);
+            }
+        }
+    }
+    
+    /**
+     * Write the part of a tree rooted at world (x, y, z) that falls in a chunk
+     */
+    placeTree(chunk, x, y, z, trunk) {
+        // Leaves: two wide layers around the top of the trunk, two narrow ones above
+        for (let dy = trunk - 2; dy <= trunk + 1; dy++) {
+            const radius = dy < trunk ? 2 : 1;
             
-            maxValue += amplitude;
-            amplitude *= this.persistence;
-            frequency *= this.lacunarity;
+            for (let dx = -radius; dx <= radius; dx++) {
+                for (let dz = -radius; dz <= radius; dz++) {
+                    // Round off the corners
+                    if (Math.abs(dx) === radius && Math.abs(dz) === radius &&
+                        (radius === 2 || dy === trunk + 1)) continue;
+                    
+                    this.setWorldBlock(chunk, x + dx, y + dy, z + dz, BlockId.LEAVES, true);
+                }
+            }
+        }
+        
+        for (let dy = 0; dy < trunk; dy++) {
+            this.setWorldBlock(chunk, x, y + dy, z, BlockId.WOOD, false);
+        }
+    }
+    
+    /**
+     * Set a block by world position if it lies inside the chunk
+     */
+    setWorldBlock(chunk, x, y, z, blockId, onlyAir) {
+        const size = this.chunkSize;
+        const localX = x - chunk.position.x * size;
+        const localY = y - chunk.position.y * size;
+        const localZ = z - chunk.position.z * size;
+        
+        if (localX < 0 || localX >= size || localY < 0 || localY >= size || localZ < 0 || localZ >= size) {
+            return;
+        }
+        
+        if (onlyAir && chunk.getBlockId(localX, localY, localZ) !== BlockId.AIR) {
+            return;
+        }
+        
+        chunk.setBlock(localX, localY, localZ, blockId);
+    }
+    
+    /**
+     * Get surface height, dominant biome and blended cave/overhang factors
+     * of a world column. Height profiles of all biomes are blended by their
+     * weights so borders are smooth. The returned object is reused by the next call.
+     */
+    sampleColumn(x, z) {
+        const { weights, biome } = this.biomeMap.sampleAt(x, z);
+        
+        const detail = this.noise.fractal2D(
+            x * this.scale,
+            z * this.scale,
+            this.octaves,
+            this.persistence,
+            this.lacunarity
+        );
+        
+        // Sharp crests for ridged biomes, from -1 in valleys to 1 on ridges
+        let ridge = 0;
+        if (weights[BiomeId.MOUNTAINS] > 0.001) {
+            const n = this.noise.fractal2D(x * this.scale * 0.5, z * this.scale * 0.5, 3);
+            ridge = (1 - Math.abs(n)) * 2 - 1;
         }
         
-        // Normalize and scale height
-        height = height / maxValue;
-        height = (height + 1) * 0.5; // Convert from -1,1 to 0,1
-        height = height * 30 + 5; // Scale to world height
+        let height = 0;
+        let caves = 0;
+        let overhang = 0;
+        for (const profile of BIOMES) {
+            const weight = weights[profile.id];
+            if (weight === 0) continue;
+            
+            const shape = profile.ridged ? ridge : detail;
+            height += weight * (profile.baseHeight + profile.heightVariation * shape);
+            caves += weight * profile.caves;
+            overhang += weight * profile.overhang;
+        }
         
-        return Math.floor(height);
+        const column = this.column;
+        column.height = Math.min(this.worldHeight - 1, Math.floor(height));
+        column.biome = biome;
+        column.caves = caves;
+        column.overhang = overhang;
+        return column;
+    }
+    
+    /**
+     * Get terrain height at world position
+     */
+    getHeightAt(x, z) {
+        return this.sampleColumn(x, z).height;
     }
     
     /**
-     * Simple 2D noise function (simplified Perlin noise)
+     * Get the dominant biome definition at world position (see Biome.js)
+     */
+    getBiomeAt(x, z) {
+        return this.biomeMap.sampleAt(x, z).biome;
+    }
+    
+    /**
+     * Coherent 2D noise in [-1, 1] for this world's seed
      */
     noise2D(x, y) {
-        // This is a simplified noise function
-        // In production, you'd use a proper Perlin noise implementation
-        const n = Math.sin(x * 12.9898 + y * 78.233) * 43758.5453;
-        return (n - Math.floor(n)) * 2 - 1;
+        return this.noise.noise2D(x, y);
+    }
+    
+    /**
+     * Coherent 3D noise in [-1, 1] for this world's seed
+     */
+    noise3D(x, y, z) {
+        return this.noise.noise3D(x, y, z);
+    }
+    
+    /**
+     * Deterministic hash of integer world coordinates to [0, 1)
+     */
+    hash(x, z, salt) {
+        let h = Math.imul(x, 374761393) ^ Math.imul(z, 668265263) ^ Math.imul(salt + this.seedHash, 1442695041);
+        h = Math.imul(h ^ (h >>> 13), 1274126177);
+        return ((h ^ (h >>> 16)) >>> 0) / 4294967296;
     }
     
     /**
@@ -0,0 +1,57 @@
+/**
+ * Voxel Game - Texture Atlas Layout
+ * Where block texture tiles sit inside the atlas, for painting it and for
+ * the block shader's tile lookup
+ * Version: 0.0.1
+ */
+
+export class TextureAtlas {
+    constructor(atlasSize, tileSize, padding = 0) {
+        this.atlasSize = atlasSize;
+        this.tileSize = tileSize;
+        
+        // Gutter pixels around each tile (duplicated edge texels in the image)
+        this.padding = padding;
+        this.cellSize = tileSize + padding * 2;
+        
+        this.tilesPerRow = Math.floor(atlasSize / this.cellSize);
+        this.tileCount = this.tilesPerRow * this.tilesPerRow;
+    }
+    
+    /**
+     * Layout for the block shader's uAtlasLayout, which finds a tile's UVs
+     * from its packed ID: tiles per row, cell size, and the tile rectangle's
+     * origin and size in UV units. The rectangle is pulled half a texel
+     * inside the tile so nearest sampling at the edges never picks up the
+     * neighboring tile.
+     * @returns {Float32Array}
+     */
+    getLayoutUniform() {
+        const inset = 0.5;
+        
+        return new Float32Array([
+            this.tilesPerRow,
+            this.cellSize / this.atlasSize,
+            (this.padding + inset) / this.atlasSize,
+            (this.tileSize - inset * 2) / this.atlasSize
+        ]);
+    }
+    
+    /**
+     * Get pixel origin of a tile inside the atlas image
+     */
+    getTileOrigin(tile) {
+        return {
+            x: (tile % this.tilesPerRow) * this.cellSize + this.padding,
+            y: Math.floor(tile / this.tilesPerRow) * this.cellSize + this.padding
+        };
+    }
+    
+    /**
+     * Highest mip level that still keeps tiles apart
+     * Below this a tile shrinks under one texel and box filtering mixes neighbors
+     */
+    getMaxMipLevel() {
+        return Math.floor(Math.log2(this.tileSize));
+    }
+}
\ No newline at end of file
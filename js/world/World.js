@@ -4,13 +4,25 @@
  * Version: 0.0.1
  */
 
-import { Chunk } from './Chunk.js';
+import { Chunk, NEIGHBOR_OFFSETS, ALL_NEIGHBOR_OFFSETS, FULL_LIGHT, getNeighborIndex } from './Chunk.js';
 import { TerrainGenerator } from './TerrainGenerator.js';
+import { Blocks, BlockId } from './Block.js';
+import { GreedyMesher } from '../optimization/GreedyMesher.js';
+import { WorkerPool } from '../optimization/WorkerPool.js';
+import { LODSystem } from '../optimization/LODSystem.js';
+import { DayNightCycle } from './DayNightCycle.js';
+import { LightEngine } from './LightEngine.js';
 
 export class World {
-    constructor(config, pools) {
+    /**
+     * @param {Object} config
+     * @param {Object} pools - Object pools by name
+     * @param {GPUResourceManager|null} gpuResources - Frees chunk meshes on unload
+     */
+    constructor(config, pools, gpuResources = null) {
         this.config = config;
         this.pools = pools;
+        this.gpuResources = gpuResources;
         
         // World data
         this.chunks = new Map();
@@ -23,11 +35,41 @@ export class World {
         this.worldHeight = config.WORLD_HEIGHT || 128;
         this.renderDistance = config.RENDER_DISTANCE || 8;
         
+        // World clock: time of day, sun and moon, sky colors
+        this.dayNight = new DayNightCycle({
+            dayLength: config.DAY_LENGTH,
+            timeScale: config.TIME_SCALE,
+            time: config.START_TIME
+        });
+        
+        // Sky and block light flood fill over loaded chunks
+        this.lighting = new LightEngine(this);
+        
         // Terrain generator
         this.terrainGenerator = null;
         
+        // Meshing strategy ('greedy' or 'naive'), switchable for comparison
+        this.mesherName = config.MESHER || 'greedy';
+        this.greedyMesher = new GreedyMesher(this.chunkSize);
+        
+        // Coarser meshes for distant chunks (null = full detail everywhere)
+        this.lodSystem = config.ENABLE_LOD !== false
+            ? new LODSystem(this.chunkSize, { distances: config.LOD_DISTANCES })
+            : null;
+        this.playerPosition = { x: 0, z: 0 };
+        
+        // Terrain workers for generation and meshing (null = main thread)
+        this.workerPool = null;
+        this.pendingLoads = new Map(); // chunk key -> worker job id
+        this.maxPendingLoads = 16;
+        
+        // Culling scratch and stats (see getVisibleChunks)
+        this.chunkBounds = { min: { x: 0, y: 0, z: 0 }, max: { x: 0, y: 0, z: 0 } };
+        this.culledChunks = 0;
+        
         // Performance
         this.maxChunksPerFrame = 2;
+        this.maxRebuildsPerFrame = 4;
         this.lastChunkUpdate = 0;
         this.chunkUpdateInterval = 100; // ms
     }
@@ -37,31 +79,82 @@ export class World {
      */
     async init() {
         // Initialize terrain generator
-        this.terrainGenerator = new TerrainGenerator(this.chunkSize, this.worldHeight);
+        this.terrainGenerator = new TerrainGenerator(this.chunkSize, this.worldHeight, this.config.WORLD_SEED);
         await this.terrainGenerator.init();
         
+        this.createWorkerPool();
+        
         // Generate initial chunks around origin
         await this.generateInitialChunks();
         
+        // Mesh them once all their neighbors exist
+        await this.rebuildDirtyChunks(Infinity);
+        
         console.log('World initialized with', this.chunks.size, 'chunks');
     }
     
+    /**
+     * Start terrain workers, if the browser supports them
+     */
+    createWorkerPool() {
+        if (this.config.USE_WORKERS === false || typeof Worker === 'undefined') {
+            return;
+        }
+        
+        const count = this.config.WORKER_COUNT ||
+            Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1));
+        
+        try {
+            this.workerPool = new WorkerPool(
+                new URL('../../workers/terrain.worker.js', import.meta.url),
+                count,
+                {
+                    chunkSize: this.chunkSize,
+                    worldHeight: this.worldHeight,
+                    seed: this.terrainGenerator.seed
+                }
+            );
+            
+            console.log('Terrain workers:', count);
+        } catch (error) {
+            console.warn('Terrain workers unavailable, using main thread:', error);
+        }
+    }
+    
+    /**
+     * Get the worker pool, dropping it if its workers failed
+     * (e.g. no module worker support)
+     */
+    getWorkerPool() {
+        if (this.workerPool && this.workerPool.failed) {
+            console.warn('Terrain workers failed, falling back to main thread');
+            this.workerPool = null;
+        }
+        
+        return this.workerPool;
+    }
+    
     /**
      * Generate initial chunks around spawn point
      */
     async generateInitialChunks() {
         const initialRadius = 2;
+        const loads = [];
         
         for (let x = -initialRadius; x <= initialRadius; x++) {
             for (let z = -initialRadius; z <= initialRadius; z++) {
                 for (let y = 0; y < Math.ceil(this.worldHeight / this.chunkSize); y++) {
-                    const chunk = await this.loadChunk(x, y, z);
-                    if (chunk) {
-                        this.activeChunks.add(chunk);
-                    }
+                    loads.push(this.loadChunk(x, y, z));
                 }
             }
         }
+        
+        // Loads run in parallel when workers are available
+        for (const chunk of await Promise.all(loads)) {
+            if (chunk) {
+                this.activeChunks.add(chunk);
+            }
+        }
     }
     
     /**
@@ -77,19 +170,122 @@ export class World {
         
         // Create new chunk
         const chunk = new Chunk(x, y, z, this.chunkSize);
+        if (this.lodSystem) {
+            chunk.lodLevel = this.lodSystem.selectLevel(0, this.getChunkLodDistance(chunk));
+        }
         
         // Generate terrain for chunk
-        await this.terrainGenerator.generateChunk(chunk);
-        
-        // Build mesh for chunk
-        chunk.buildMesh();
+        const pool = this.getWorkerPool();
+        if (pool) {
+            // Cancelled because it left render distance
+            if (!await this.generateInWorker(pool, chunk, key)) {
+                return null;
+            }
+        } else {
+            await this.terrainGenerator.generateChunk(chunk);
+        }
         
-        // Store chunk
+        // Store chunk - meshing happens in rebuildDirtyChunks
         this.chunks.set(key, chunk);
         
+        // Light it and let its light into loaded neighbors
+        this.lighting.lightChunk(chunk);
+        
+        // Neighbors meshed before this chunk existed have closed borders toward it
+        this.reopenNeighborBorders(chunk);
+        
         return chunk;
     }
     
+    /**
+     * Generate a chunk's blocks in a worker
+     * @returns {Promise<boolean>} false if the job was cancelled
+     */
+    async generateInWorker(pool, chunk, key) {
+        const { x, y, z } = chunk.position;
+        const job = pool.run('generate', { x, y, z });
+        
+        this.pendingLoads.set(key, job.id);
+        
+        let result;
+        try {
+            result = await job.promise;
+        } catch (error) {
+            // Worker failed - generate here instead
+            await this.terrainGenerator.generateChunk(chunk);
+            return true;
+        } finally {
+            this.pendingLoads.delete(key);
+        }
+        
+        if (!result) return false;
+        
+        chunk.blocks = result.blocks;
+        chunk.isEmpty = result.isEmpty;
+        return true;
+    }
+    
+    /**
+     * Remesh loaded neighbors whose last build was missing this chunk
+     */
+    reopenNeighborBorders(chunk) {
+        const { x, y, z } = chunk.position;
+        
+        for (const [dx, dy, dz] of ALL_NEIGHBOR_OFFSETS) {
+            const neighbor = this.chunks.get(`${x + dx},${y + dy},${z + dz}`);
+            
+            // The neighbor sees this chunk at the opposite offset; a build still
+            // in a worker may have started before this chunk existed
+            const side = getNeighborIndex(-dx, -dy, -dz);
+            if (neighbor && (neighbor.meshJob || (neighbor.missingNeighbors & (1 << side)))) {
+                neighbor.needsRebuild = true;
+            }
+        }
+    }
+    
+    /**
+     * Collect face, edge and corner neighbor data for meshing a chunk (see
+     * Chunk.buildMesh)
+     * Neighbors at another level of detail are given as seams (see
+     * LODSystem.createSeamNeighbor).
+     */
+    getChunkNeighbors(chunk) {
+        const { x, y, z } = chunk.position;
+        const verticalChunks = Math.ceil(this.worldHeight / this.chunkSize);
+        
+        return ALL_NEIGHBOR_OFFSETS.map(([dx, dy, dz]) => {
+            // Open sky above the build limit, solid ground below the world
+            if (y + dy >= verticalChunks) return BlockId.AIR;
+            if (y + dy < 0) return BlockId.BEDROCK;
+            
+            const neighbor = this.chunks.get(`${x + dx},${y + dy},${z + dz}`);
+            if (!neighbor) return null;
+            
+            if (neighbor.lodLevel !== chunk.lodLevel) {
+                return this.lodSystem.createSeamNeighbor(neighbor.blocks);
+            }
+            return neighbor.blocks;
+        });
+    }
+    
+    /**
+     * Collect face neighbor light for meshing a chunk, in the same order as
+     * getChunkNeighbors (see Chunk.sampleLight)
+     */
+    getChunkNeighborLight(chunk) {
+        const { x, y, z } = chunk.position;
+        const verticalChunks = Math.ceil(this.worldHeight / this.chunkSize);
+        
+        return NEIGHBOR_OFFSETS.map(([dx, dy, dz]) => {
+            // Open sky above the build limit, darkness below the world
+            if (y + dy >= verticalChunks) return FULL_LIGHT;
+            if (y + dy < 0) return 0;
+            
+            const neighbor = this.chunks.get(`${x + dx},${y + dy},${z + dz}`);
+            return neighbor ? neighbor.light : null;
+        });
+    }
+    
     /**
      * Unload a chunk
      */
@@ -98,6 +294,14 @@ export class World {
         const chunk = this.chunks.get(key);
         
         if (chunk) {
+            if (chunk.meshJob && this.workerPool) {
+                this.workerPool.cancel(chunk.meshJob);
+            }
+            
+            if (this.gpuResources) {
+                this.gpuResources.releaseChunk(chunk);
+            }
+            
             chunk.destroy();
             this.chunks.delete(key);
             this.activeChunks.delete(chunk);
@@ -108,6 +312,11 @@ export class World {
      * Update world based on player position
      */
     update(playerPosition, deltaTime) {
+        this.dayNight.update(deltaTime);
+        
+        // Remesh edited chunks every frame so block changes show up immediately
+        this.rebuildDirtyChunks();
+        
         const now = performance.now();
         
         // Throttle chunk updates
@@ -117,6 +326,9 @@ export class World {
         
         this.lastChunkUpdate = now;
         
+        this.playerPosition.x = playerPosition.x;
+        this.playerPosition.z = playerPosition.z;
+        
         // Calculate player chunk position
         const playerChunkX = Math.floor(playerPosition.x / this.chunkSize);
         const playerChunkY = Math.floor(playerPosition.y / this.chunkSize);
@@ -127,6 +339,41 @@ export class World {
         
         // Process chunk queues
         this.processChunkQueues();
+        
+        if (this.lodSystem) {
+            this.updateLodLevels();
+        }
+    }
+    
+    /**
+     * Move chunks between levels of detail as the player moves
+     */
+    updateLodLevels() {
+        for (const chunk of this.activeChunks) {
+            const level = this.lodSystem.selectLevel(chunk.lodLevel, this.getChunkLodDistance(chunk));
+            if (level === chunk.lodLevel) continue;
+            
+            chunk.lodLevel = level;
+            chunk.needsRebuild = true;
+            
+            // Seams toward this chunk depend on its level
+            const { x, y, z } = chunk.position;
+            for (const [dx, dy, dz] of NEIGHBOR_OFFSETS) {
+                const neighbor = this.chunks.get(`${x + dx},${y + dy},${z + dz}`);
+                if (neighbor) {
+                    neighbor.needsRebuild = true;
+                }
+            }
+        }
+    }
+    
+    /**
+     * Horizontal distance in chunks from the player to a chunk's center
+     */
+    getChunkLodDistance(chunk) {
+        const dx = chunk.position.x + 0.5 - this.playerPosition.x / this.chunkSize;
+        const dz = chunk.position.z + 0.5 - this.playerPosition.z / this.chunkSize;
+        return Math.sqrt(dx * dx + dz * dz);
     }
     
     /**
@@ -137,6 +384,7 @@ export class World {
         
         // Mark all chunks for potential unload
         const chunksToCheck = new Set(this.activeChunks);
+        const keysInRange = new Set();
         
         // Check which chunks should be loaded
         for (let x = centerX - renderDist; x <= centerX + renderDist; x++) {
@@ -149,6 +397,7 @@ export class World {
                     
                     if (distance <= renderDist) {
                         const key = `${x},${y},${z}`;
+                        keysInRange.add(key);
                         
                         if (!this.chunks.has(key)) {
                             // Queue chunk for loading
@@ -167,6 +416,15 @@ export class World {
         for (const chunk of chunksToCheck) {
             this.queueChunkUnload(chunk);
         }
+        
+        // Drop loads that left render distance before they started or finished
+        this.chunkLoadQueue = this.chunkLoadQueue.filter(item => keysInRange.has(item.key));
+        
+        for (const [key, jobId] of this.pendingLoads) {
+            if (!keysInRange.has(key)) {
+                this.workerPool.cancel(jobId);
+            }
+        }
     }
     
     /**
@@ -175,8 +433,8 @@ export class World {
     queueChunkLoad(x, y, z) {
         const key = `${x},${y},${z}`;
         
-        // Check if already queued
-        const alreadyQueued = this.chunkLoadQueue.some(
+        // Check if already queued or generating
+        const alreadyQueued = this.pendingLoads.has(key) || this.chunkLoadQueue.some(
             item => item.key === key
         );
         
@@ -198,9 +456,11 @@ export class World {
      * Process chunk loading/unloading queues
      */
     processChunkQueues() {
-        // Process chunk loads
+        // Process chunk loads - workers take as many as they can keep busy
+        const pool = this.getWorkerPool();
         let chunksLoaded = 0;
-        while (this.chunkLoadQueue.length > 0 && chunksLoaded < this.maxChunksPerFrame) {
+        while (this.chunkLoadQueue.length > 0 &&
+            (pool ? this.pendingLoads.size < this.maxPendingLoads : chunksLoaded < this.maxChunksPerFrame)) {
             const { x, y, z } = this.chunkLoadQueue.shift();
             this.loadChunk(x, y, z).then(chunk => {
                 if (chunk) {
@@ -219,16 +479,118 @@ export class World {
         }
     }
     
+    /**
+     * Rebuild meshes of chunks marked dirty, within the per-frame budget
+     * @returns {Promise} settles when builds sent to workers are applied
+     */
+    rebuildDirtyChunks(limit = this.maxRebuildsPerFrame) {
+        const pool = this.getWorkerPool();
+        const mesher = this.getMesher();
+        const jobs = [];
+        let rebuilt = 0;
+        
+        for (const chunk of this.activeChunks) {
+            if (rebuilt >= limit) break;
+            
+            // One build in flight per chunk; edits made meanwhile rebuild it afterwards
+            if (chunk.needsRebuild && !chunk.meshJob) {
+                if (pool) {
+                    jobs.push(this.meshInWorker(pool, chunk));
+                } else if (chunk.lodLevel > 0) {
+                    chunk.applyMesh(this.lodSystem.buildMesh(
+                        chunk, !!mesher, this.getChunkNeighbors(chunk), this.getChunkNeighborLight(chunk)
+                    ));
+                    chunk.needsRebuild = false;
+                } else {
+                    chunk.buildMesh(mesher, this.getChunkNeighbors(chunk), this.getChunkNeighborLight(chunk));
+                }
+                rebuilt++;
+            }
+        }
+        
+        return Promise.all(jobs);
+    }
+    
+    /**
+     * Build a chunk's mesh in a worker
+     */
+    async meshInWorker(pool, chunk) {
+        const { x, y, z } = chunk.position;
+        
+        // Workers get copies so blocks and light stay editable here while they mesh
+        const blocks = chunk.blocks.slice();
+        const light = chunk.light.slice();
+        const transfer = [blocks.buffer, light.buffer];
+        const copy = (data) => {
+            if (!ArrayBuffer.isView(data)) return data;
+            
+            const copied = data.slice();
+            transfer.push(copied.buffer);
+            return copied;
+        };
+        const neighbors = this.getChunkNeighbors(chunk).map(copy);
+        const neighborLight = this.getChunkNeighborLight(chunk).map(copy);
+        
+        const job = pool.run('mesh', {
+            x, y, z, blocks, light, neighbors, neighborLight,
+            mesher: this.mesherName,
+            lodLevel: chunk.lodLevel
+        }, transfer);
+        chunk.meshJob = job.id;
+        chunk.needsRebuild = false;
+        
+        let result;
+        try {
+            result = await job.promise;
+        } catch (error) {
+            // Worker failed - remesh on the main thread next frame
+            chunk.needsRebuild = true;
+            return;
+        } finally {
+            chunk.meshJob = null;
+        }
+        
+        // Cancelled, or unloaded while meshing
+        if (!result || !chunk.blocks) return;
+        
+        chunk.applyMesh(result);
+    }
+    
+    /**
+     * Get the mesher passed to Chunk.buildMesh (null = naive)
+     */
+    getMesher() {
+        return this.mesherName === 'greedy' ? this.greedyMesher : null;
+    }
+    
+    /**
+     * Switch meshing strategy and remesh every loaded chunk
+     */
+    setMesher(name) {
+        if (name !== 'greedy' && name !== 'naive') {
+            throw new Error(`Unknown mesher: ${name}`);
+        }
+        
+        this.mesherName = name;
+        
+        for (const chunk of this.chunks.values()) {
+            chunk.needsRebuild = true;
+        }
+    }
+    
     /**
      * Get visible chunks for rendering
+     * Chunks rejected by the frustum test are counted in culledChunks.
      */
     getVisibleChunks(camera) {
         const visibleChunks = [];
+        this.culledChunks = 0;
         
         for (const chunk of this.activeChunks) {
-            // Simple frustum culling check
             if (this.isChunkInFrustum(chunk, camera)) {
                 visibleChunks.push(chunk);
+            } else {
+                this.culledChunks++;
             }
         }
         
@@ -244,12 +606,25 @@ export class World {
     }
     
     /**
-     * Check if chunk is in camera frustum
+     * Check if chunk is in camera frustum and within render distance
+     * (camera.updateFrustum must have run this frame)
      */
     isChunkInFrustum(chunk, camera) {
-        // Simplified frustum check - just use distance for now
         const distance = this.getChunkDistance(chunk, camera.position);
-        return distance < this.renderDistance * this.chunkSize * 1.5;
+        if (distance >= this.renderDistance * this.chunkSize * 1.5) {
+            return false;
+        }
+        
+        const size = this.chunkSize;
+        const bounds = this.chunkBounds;
+        bounds.min.x = chunk.position.x * size;
+        bounds.min.y = chunk.position.y * size;
+        bounds.min.z = chunk.position.z * size;
+        bounds.max.x = bounds.min.x + size;
+        bounds.max.y = bounds.min.y + size;
+        bounds.max.z = bounds.min.z + size;
+        
+        return camera.isBoxInFrustum(bounds.min, bounds.max);
     }
     
     /**
@@ -270,9 +645,17 @@ export class World {
     }
     
     /**
-     * Get block at world position
+     * Get the biome definition at a world column (see Biome.js)
+     * Computed from the seed, so it works for unloaded chunks too
      */
-    getBlock(x, y, z) {
+    getBiomeAt(x, z) {
+        return this.terrainGenerator.getBiomeAt(Math.floor(x), Math.floor(z));
+    }
+    
+    /**
+     * Get block ID at world position (air if the chunk is not loaded)
+     */
+    getBlockId(x, y, z) {
         const chunkX = Math.floor(x / this.chunkSize);
         const chunkY = Math.floor(y / this.chunkSize);
         const chunkZ = Math.floor(z / this.chunkSize);
@@ -285,12 +668,39 @@ export class World {
             const localY = y - chunkY * this.chunkSize;
             const localZ = z - chunkZ * this.chunkSize;
             
-            return chunk.getBlock(localX, localY, localZ);
+            return chunk.getBlockId(localX, localY, localZ);
+        }
+        
+        return BlockId.AIR;
+    }
+    
+    /**
+     * Get the height of the highest solid block in a loaded column (null if
+     * none); with includeLiquids, a liquid above it is the surface instead
+     */
+    getSurfaceHeight(x, z, includeLiquids = false) {
+        for (let y = this.worldHeight - 1; y >= 0; y--) {
+            const id = this.getBlockId(x, y, z);
+            if (Blocks.isSolid(id)) {
+                return y;
+            }
+            
+            if (includeLiquids && id !== BlockId.AIR && Blocks.get(id).liquid) {
+                return y;
+            }
         }
         
         return null;
     }
     
+    /**
+     * Get block definition at world position
+     */
+    getBlock(x, y, z) {
+        const id = this.getBlockId(x, y, z);
+        return id !== BlockId.AIR ? Blocks.get(id) : null;
+    }
+    
     /**
      * Set block at world position
      */
@@ -310,6 +720,9 @@ export class World {
             chunk.setBlock(localX, localY, localZ, blockType);
             chunk.needsRebuild = true;
             
+            // Relights and remeshes every chunk the change reaches
+            this.lighting.updateBlock(chunk, localX, localY, localZ);
+            
             // Mark neighboring chunks for rebuild if on edge
             this.markNeighborChunksForRebuild(chunk, localX, localY, localZ);
         }
@@ -320,13 +733,17 @@ export class World {
      */
     markNeighborChunksForRebuild(chunk, localX, localY, localZ) {
         const size = this.chunkSize - 1;
+        const { x, y, z } = chunk.position;
         
-        if (localX === 0) this.markChunkForRebuild(chunk.position.x - 1, chunk.position.y, chunk.position.z);
-        if (localX === size) this.markChunkForRebuild(chunk.position.x + 1, chunk.position.y, chunk.position.z);
-        if (localY === 0) this.markChunkForRebuild(chunk.position.x, chunk.position.y - 1, chunk.position.z);
-        if (localY === size) this.markChunkForRebuild(chunk.position.x, chunk.position.y + 1, chunk.position.z);
-        if (localZ === 0) this.markChunkForRebuild(chunk.position.x, chunk.position.y, chunk.position.z - 1);
-        if (localZ === size) this.markChunkForRebuild(chunk.position.x, chunk.position.y, chunk.position.z + 1);
+        // Edge and corner neighbors too, for the ambient occlusion of their
+        // faces beside the block
+        const touches = (local, offset) => offset === 0 || local === (offset < 0 ? 0 : size);
+        
+        for (const [dx, dy, dz] of ALL_NEIGHBOR_OFFSETS) {
+            if (touches(localX, dx) && touches(localY, dy) && touches(localZ, dz)) {
+                this.markChunkForRebuild(x + dx, y + dy, z + dz);
+            }
+        }
     }
     
     /**
@@ -355,6 +772,9 @@ export class World {
     destroy() {
         // Destroy all chunks
         for (const chunk of this.chunks.values()) {
+            if (this.gpuResources) {
+                this.gpuResources.releaseChunk(chunk);
+            }
             chunk.destroy();
         }
         
@@ -363,6 +783,13 @@ export class World {
         this.chunkLoadQueue = [];
         this.chunkUnloadQueue = [];
         
+        // Stop workers; pending loads and builds settle as cancelled
+        if (this.workerPool) {
+            this.workerPool.destroy();
+            this.workerPool = null;
+        }
+        this.pendingLoads.clear();
+        
         // Destroy terrain generator
         if (this.terrainGenerator) {
             this.terrainGenerator.destroy();
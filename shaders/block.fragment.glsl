@@ -0,0 +1,108 @@
+// Voxel Game - Block fragment shader
+// Atlas tile lookup, sun/moon, sky and block light, ambient occlusion
+// Variants: TEXTURE_GRAD, FOG, SHADOWS
+
+#if !defined(WEBGL2) && defined(TEXTURE_GRAD)
+#extension GL_OES_standard_derivatives : enable
+#extension GL_EXT_shader_texture_lod : enable
+#endif
+
+precision mediump float;
+
+varying vec2 vTexCoord;
+varying vec4 vTileRect;
+varying vec3 vNormal;
+varying vec3 vLight;
+varying float vEmissive;
+
+uniform sampler2D uTexture;
+uniform vec3 uTint;
+uniform vec3 uLightDirection;
+uniform vec3 uLightColor;
+uniform vec3 uAmbientLight;
+
+#ifdef FOG
+varying float vFogDepth;
+
+uniform vec3 uFogColor;
+uniform float uFogNear;
+uniform float uFogFar;
+#endif
+
+#ifdef SHADOWS
+varying highp vec4 vShadowCoord;
+
+uniform highp sampler2D uShadowMap;
+uniform highp vec4 uShadowParams;
+
+// Share of the 3x3 shadow map texels around the fragment that see the
+// light (percentage-closer filtering), fading to lit at the map's edge
+float sampleShadow() {
+    if (uShadowParams.w < 0.5) return 1.0;
+    
+    highp vec3 coord = vShadowCoord.xyz * 0.5 + 0.5;
+    vec2 edge = abs(coord.xy * 2.0 - 1.0);
+    float fade = smoothstep(0.85, 1.0, max(edge.x, edge.y));
+    if (fade >= 1.0 || coord.z >= 1.0) return 1.0;
+    
+    float lit = 0.0;
+    for (int x = -1; x <= 1; x++) {
+        for (int y = -1; y <= 1; y++) {
+            highp vec2 offset = vec2(float(x), float(y)) * uShadowParams.x;
+            highp float depth = texture2D(uShadowMap, coord.xy + offset).r;
+            lit += coord.z - uShadowParams.z > depth ? 0.0 : 1.0;
+        }
+    }
+    
+    return mix(lit / 9.0, 1.0, fade);
+}
+#endif
+
+void main() {
+    // Wrap block-unit UVs inside the face's atlas tile (atlas rows run top-down)
+    vec2 tileScale = vTileRect.zw - vTileRect.xy;
+    vec2 tileUV = vec2(fract(vTexCoord.x), 1.0 - fract(vTexCoord.y));
+    vec2 atlasUV = vTileRect.xy + tileUV * tileScale;
+    
+    // Explicit gradients keep mip selection stable where fract() wraps the tile
+#if defined(WEBGL2)
+    vec4 texColor = textureGrad(uTexture, atlasUV, dFdx(vTexCoord) * tileScale, dFdy(vTexCoord) * tileScale);
+#elif defined(TEXTURE_GRAD)
+    vec4 texColor = texture2DGradEXT(uTexture, atlasUV, dFdx(vTexCoord) * tileScale, dFdy(vTexCoord) * tileScale);
+#else
+    vec4 texColor = texture2D(uTexture, atlasUV);
+#endif
+    
+    // Discard transparent pixels
+    if (texColor.a < 0.1) discard;
+    
+    vec4 color = texColor;
+    
+    // Simple directional lighting
+    vec3 normal = normalize(vNormal);
+    float lightIntensity = max(dot(normal, -uLightDirection), 0.0);
+    vec3 diffuse = lightIntensity * uLightColor;
+#ifdef SHADOWS
+    if (lightIntensity > 0.0) {
+        diffuse *= sampleShadow();
+    }
+#endif
+    vec3 ambient = uAmbientLight;
+    
+    // Sun, moon and ambient reach a block as far as sky light does;
+    // block light (glowstone) is warm and the same day and night
+    vec3 light = vLight.x * (ambient + diffuse) + vLight.y * vec3(1.0, 0.85, 0.6);
+    
+    // Light sources glow on their own, past white so bloom picks them up
+    color.rgb *= vEmissive > 0.5 ? vec3(1.6) : light * vLight.z;
+    
+    // Environment tint (underwater)
+    color.rgb *= uTint;
+    
+#ifdef FOG
+    float fogFactor = clamp((uFogFar - vFogDepth) / (uFogFar - uFogNear), 0.0, 1.0);
+    color.rgb = mix(uFogColor, color.rgb, fogFactor);
+#endif
+    
+    gl_FragColor = color;
+}
\ No newline at end of file
@@ -0,0 +1,93 @@
+// Voxel Game - Block vertex shader
+// Chunk meshes in the packed vertex layout (see VERTEX_BYTES in Chunk.js)
+// Variants: FOG, SHADOWS
+
+precision highp float;
+
+// Position in the chunk + face, and tile, light, AO + chunk y, chunk x/z
+attribute vec4 aPosition;
+attribute vec4 aData;
+
+uniform mat4 uProjectionMatrix;
+uniform mat4 uViewMatrix;
+uniform mat4 uModelMatrix;
+
+// Atlas tiles per row, cell size, tile origin inset and tile size (UV units)
+uniform vec4 uAtlasLayout;
+uniform float uChunkSize;
+
+varying vec2 vTexCoord;
+varying vec4 vTileRect;
+varying vec3 vNormal;
+varying vec3 vLight;
+varying float vEmissive;
+
+#ifdef FOG
+varying float vFogDepth;
+#endif
+
+#ifdef SHADOWS
+// World to shadow map clip space; shadow params: texel size, normal
+// offset, depth bias, enabled (see ShadowRenderer.bind)
+uniform mat4 uLightViewProjection;
+uniform highp vec4 uShadowParams;
+
+varying highp vec4 vShadowCoord;
+#endif
+
+void main() {
+    mat4 mvMatrix = uViewMatrix * uModelMatrix;
+    // Chunk offset within its batch region (zero outside batches), so
+    // one model matrix places every chunk of the region
+    vec3 chunkOffset = vec3(mod(aData.w, 16.0), floor(aData.z / 4.0), floor(aData.w / 16.0));
+    vec3 localPosition = aPosition.xyz;
+    vec3 position = localPosition + chunkOffset * uChunkSize;
+    vec4 worldPos = uModelMatrix * vec4(position, 1.0);
+    vec4 viewPos = mvMatrix * vec4(position, 1.0);
+    
+    gl_Position = uProjectionMatrix * viewPos;
+    
+    // Face index: axis is x/y/z for 0-1/2-3/4-5, even faces point positive
+    float face = mod(aPosition.w, 8.0);
+    vEmissive = step(8.0, aPosition.w);
+    float axis = floor(face * 0.5);
+    float faceSign = 1.0 - 2.0 * (face - axis * 2.0);
+    vec3 normal = vec3(axis == 0.0 ? faceSign : 0.0,
+                       axis == 1.0 ? faceSign : 0.0,
+                       axis == 2.0 ? faceSign : 0.0);
+    
+    // Block-unit UVs from the two axes across the face, running the
+    // same way as the corners in Chunk.addFace
+    if (axis == 0.0) {
+        vTexCoord = vec2(-faceSign * localPosition.z, localPosition.y);
+    } else if (axis == 1.0) {
+        vTexCoord = vec2(localPosition.x, -faceSign * localPosition.z);
+    } else {
+        vTexCoord = vec2(faceSign * localPosition.x, localPosition.y);
+    }
+    
+    // Atlas rectangle of the tile (row rounded against float error)
+    float row = floor((aData.x + 0.5) / uAtlasLayout.x);
+    float column = aData.x - row * uAtlasLayout.x;
+    vec2 tileMin = vec2(column, row) * uAtlasLayout.y + uAtlasLayout.z;
+    vTileRect = vec4(tileMin, tileMin + uAtlasLayout.w);
+    
+    // Sky and block light brightness, and ambient occlusion; sky
+    // light is scaled by the time of day in the fragment shader
+    float skyLight = floor(aData.y / 16.0);
+    float blockLight = aData.y - skyLight * 16.0;
+    float occlusion = 0.55 + 0.15 * mod(aData.z, 4.0);
+    vLight = vec3(pow(0.8, 15.0 - skyLight), pow(0.8, 15.0 - blockLight), occlusion);
+    
+    vNormal = mat3(uModelMatrix) * normal;
+    
+#ifdef SHADOWS
+    // Shadow map position, pushed out along the normal so surfaces
+    // don't shadow themselves
+    vShadowCoord = uLightViewProjection * vec4(worldPos.xyz + normal * uShadowParams.y, 1.0);
+#endif
+    
+#ifdef FOG
+    vFogDepth = -viewPos.z;
+#endif
+}
\ No newline at end of file
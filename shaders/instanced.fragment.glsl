@@ -0,0 +1,33 @@
+// Voxel Game - Instanced mesh fragment shader
+// Lit and fogged like the blocks
+// Variants: FOG
+
+precision mediump float;
+
+varying vec3 vNormal;
+varying vec3 vColor;
+
+uniform vec3 uTint;
+uniform vec3 uLightDirection;
+uniform vec3 uLightColor;
+uniform vec3 uAmbientLight;
+
+#ifdef FOG
+varying float vFogDepth;
+
+uniform vec3 uFogColor;
+uniform float uFogNear;
+uniform float uFogFar;
+#endif
+
+void main() {
+    float lightIntensity = max(dot(normalize(vNormal), -uLightDirection), 0.0);
+    vec3 color = vColor * (uAmbientLight + lightIntensity * uLightColor) * uTint;
+    
+#ifdef FOG
+    float fogFactor = clamp((uFogFar - vFogDepth) / (uFogFar - uFogNear), 0.0, 1.0);
+    color = mix(uFogColor, color, fogFactor);
+#endif
+    
+    gl_FragColor = vec4(color, 1.0);
+}
\ No newline at end of file
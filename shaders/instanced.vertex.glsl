@@ -0,0 +1,49 @@
+// Voxel Game - Instanced mesh vertex shader
+// Untextured meshes placed per instance (see InstancedRenderer)
+// Variants: INSTANCING, FOG
+
+precision highp float;
+
+attribute vec3 aPosition;
+attribute vec3 aNormal;
+
+// Per instance: position + yaw, color + scale. Without instancing they are
+// set per draw instead.
+#ifdef INSTANCING
+attribute vec4 aInstanceTransform;
+attribute vec4 aInstanceColor;
+#define instanceTransform aInstanceTransform
+#define instanceColor aInstanceColor
+#else
+uniform vec4 uInstanceTransform;
+uniform vec4 uInstanceColor;
+#define instanceTransform uInstanceTransform
+#define instanceColor uInstanceColor
+#endif
+
+uniform mat4 uProjectionMatrix;
+uniform mat4 uViewMatrix;
+
+varying vec3 vNormal;
+varying vec3 vColor;
+
+#ifdef FOG
+varying float vFogDepth;
+#endif
+
+void main() {
+    float c = cos(instanceTransform.w);
+    float s = sin(instanceTransform.w);
+    mat3 yaw = mat3(c, 0.0, -s, 0.0, 1.0, 0.0, s, 0.0, c);
+    
+    vec3 worldPos = instanceTransform.xyz + yaw * (aPosition * instanceColor.w);
+    vec4 viewPos = uViewMatrix * vec4(worldPos, 1.0);
+    gl_Position = uProjectionMatrix * viewPos;
+    
+    vNormal = yaw * aNormal;
+    vColor = instanceColor.rgb;
+    
+#ifdef FOG
+    vFogDepth = -viewPos.z;
+#endif
+}
\ No newline at end of file
@@ -0,0 +1,8 @@
+// Voxel Game - Occlusion query fragment shader
+// Writes nothing visible but is needed for the depth test
+
+precision mediump float;
+
+void main() {
+    gl_FragColor = vec4(1.0);
+}
\ No newline at end of file
@@ -0,0 +1,12 @@
+// Voxel Game - Occlusion query vertex shader
+// A unit cube scaled to a chunk's bounds (WebGL2 only)
+
+attribute vec3 aPosition;
+
+uniform mat4 uViewProjection;
+uniform vec3 uBoxMin;
+uniform float uBoxSize;
+
+void main() {
+    gl_Position = uViewProjection * vec4(uBoxMin + aPosition * uBoxSize, 1.0);
+}
\ No newline at end of file
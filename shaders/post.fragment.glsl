@@ -0,0 +1,125 @@
+// Voxel Game - Post-processing fragment shader
+// One full-screen pass reading the previous target through uTexture (see
+// PostProcessor); the scene may hold values above 1
+// Variants, one per pass program: COPY, BLOOM_EXTRACT, BLUR,
+// BLOOM_COMPOSITE, TONEMAP, UNDERWATER, FXAA, VIGNETTE
+
+precision mediump float;
+
+varying vec2 vUv;
+
+uniform sampler2D uTexture;
+uniform vec2 uTexelSize;
+
+vec3 sampleScene(vec2 uv) {
+    return texture2D(uTexture, uv).rgb;
+}
+
+#if defined(BLOOM_EXTRACT)
+
+uniform float uThreshold;
+
+// Parts brighter than the threshold, fading in above it
+void main() {
+    vec3 color = sampleScene(vUv);
+    float brightness = max(color.r, max(color.g, color.b));
+    gl_FragColor = vec4(color * smoothstep(uThreshold, uThreshold + 0.5, brightness), 1.0);
+}
+
+#elif defined(BLUR)
+
+uniform vec2 uDirection;
+
+// 9-tap gaussian along uDirection (one tap spacing in UV)
+void main() {
+    vec3 color = sampleScene(vUv) * 0.227027;
+    color += (sampleScene(vUv + uDirection) + sampleScene(vUv - uDirection)) * 0.1945946;
+    color += (sampleScene(vUv + uDirection * 2.0) + sampleScene(vUv - uDirection * 2.0)) * 0.1216216;
+    color += (sampleScene(vUv + uDirection * 3.0) + sampleScene(vUv - uDirection * 3.0)) * 0.054054;
+    color += (sampleScene(vUv + uDirection * 4.0) + sampleScene(vUv - uDirection * 4.0)) * 0.016216;
+    gl_FragColor = vec4(color, 1.0);
+}
+
+#elif defined(BLOOM_COMPOSITE)
+
+uniform sampler2D uBloom;
+uniform float uStrength;
+
+void main() {
+    vec3 bloom = texture2D(uBloom, vUv).rgb;
+    gl_FragColor = vec4(sampleScene(vUv) + bloom * uStrength, 1.0);
+}
+
+#elif defined(TONEMAP)
+
+uniform float uExposure;
+
+// ACES filmic curve (Narkowicz fit)
+void main() {
+    vec3 x = sampleScene(vUv) * uExposure;
+    vec3 color = (x * (2.51 * x + 0.03)) / (x * (2.43 * x + 0.59) + 0.14);
+    gl_FragColor = vec4(clamp(color, 0.0, 1.0), 1.0);
+}
+
+#elif defined(UNDERWATER)
+
+uniform float uTime;
+
+// Wavy refraction while the camera is in a liquid
+void main() {
+    vec2 offset = vec2(
+        sin(vUv.y * 24.0 + uTime * 2.0),
+        cos(vUv.x * 18.0 + uTime * 1.6)
+    ) * 0.004;
+    gl_FragColor = vec4(sampleScene(clamp(vUv + offset, uTexelSize, 1.0 - uTexelSize)), 1.0);
+}
+
+#elif defined(FXAA)
+
+const float SPAN_MAX = 8.0;
+const float REDUCE_MUL = 1.0 / 8.0;
+const float REDUCE_MIN = 1.0 / 128.0;
+
+// Fast approximate anti-aliasing: blur along the local edge direction
+// where the luma contrast is high
+void main() {
+    vec3 lumaWeights = vec3(0.299, 0.587, 0.114);
+    float lumaNW = dot(sampleScene(vUv + vec2(-1.0, -1.0) * uTexelSize), lumaWeights);
+    float lumaNE = dot(sampleScene(vUv + vec2(1.0, -1.0) * uTexelSize), lumaWeights);
+    float lumaSW = dot(sampleScene(vUv + vec2(-1.0, 1.0) * uTexelSize), lumaWeights);
+    float lumaSE = dot(sampleScene(vUv + vec2(1.0, 1.0) * uTexelSize), lumaWeights);
+    vec3 center = sampleScene(vUv);
+    float lumaM = dot(center, lumaWeights);
+    
+    float lumaMin = min(lumaM, min(min(lumaNW, lumaNE), min(lumaSW, lumaSE)));
+    float lumaMax = max(lumaM, max(max(lumaNW, lumaNE), max(lumaSW, lumaSE)));
+    
+    vec2 dir = vec2(-((lumaNW + lumaNE) - (lumaSW + lumaSE)), (lumaNW + lumaSW) - (lumaNE + lumaSE));
+    float dirReduce = max((lumaNW + lumaNE + lumaSW + lumaSE) * 0.25 * REDUCE_MUL, REDUCE_MIN);
+    float rcpDirMin = 1.0 / (min(abs(dir.x), abs(dir.y)) + dirReduce);
+    dir = clamp(dir * rcpDirMin, -SPAN_MAX, SPAN_MAX) * uTexelSize;
+    
+    vec3 colorA = 0.5 * (sampleScene(vUv + dir * (1.0 / 3.0 - 0.5)) + sampleScene(vUv + dir * (2.0 / 3.0 - 0.5)));
+    vec3 colorB = colorA * 0.5 + 0.25 * (sampleScene(vUv - dir * 0.5) + sampleScene(vUv + dir * 0.5));
+    float lumaB = dot(colorB, lumaWeights);
+    
+    gl_FragColor = vec4(lumaB < lumaMin || lumaB > lumaMax ? colorA : colorB, 1.0);
+}
+
+#elif defined(VIGNETTE)
+
+uniform float uStrength;
+
+void main() {
+    float edge = smoothstep(0.35, 0.85, distance(vUv, vec2(0.5)));
+    gl_FragColor = vec4(sampleScene(vUv) * (1.0 - edge * uStrength), 1.0);
+}
+
+#else
+
+// COPY
+void main() {
+    gl_FragColor = vec4(sampleScene(vUv), 1.0);
+}
+
+#endif
\ No newline at end of file
@@ -0,0 +1,13 @@
+// Voxel Game - Post-processing vertex shader
+// A triangle covering the screen, with UVs of the target being read
+
+precision highp float;
+
+attribute vec2 aPosition;
+
+varying vec2 vUv;
+
+void main() {
+    vUv = aPosition * 0.5 + 0.5;
+    gl_Position = vec4(aPosition, 0.0, 1.0);
+}
\ No newline at end of file
@@ -0,0 +1,7 @@
+// Voxel Game - Shadow map fragment shader
+// Only depth is written
+
+precision mediump float;
+
+void main() {
+}
\ No newline at end of file
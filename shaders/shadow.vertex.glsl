@@ -0,0 +1,17 @@
+// Voxel Game - Shadow map vertex shader
+// Chunk positions decoded as in the block shader, seen from the light
+
+precision highp float;
+
+attribute vec4 aPosition;
+attribute vec4 aData;
+
+uniform mat4 uLightViewProjection;
+uniform mat4 uModelMatrix;
+uniform float uChunkSize;
+
+void main() {
+    vec3 chunkOffset = vec3(mod(aData.w, 16.0), floor(aData.z / 4.0), floor(aData.w / 16.0));
+    vec3 position = aPosition.xyz + chunkOffset * uChunkSize;
+    gl_Position = uLightViewProjection * uModelMatrix * vec4(position, 1.0);
+}
\ No newline at end of file
@@ -0,0 +1,48 @@
+// Voxel Game - Sky fragment shader
+// Sky gradient, sun and moon discs and stars turning with the sky
+
+precision highp float;
+
+varying vec2 vScreen;
+
+uniform mat4 uProjectionMatrix;
+uniform mat4 uViewMatrix;
+uniform vec3 uZenithColor;
+uniform vec3 uHorizonColor;
+uniform vec3 uSunDirection;
+uniform float uStarVisibility;
+uniform float uSkyRotation;
+
+float hash(vec3 p) {
+    p = fract(p * 0.3183099 + 0.1);
+    p *= 17.0;
+    return fract(p.x * p.y * p.z * (p.x + p.y + p.z));
+}
+
+void main() {
+    // View ray into world space; the view rotation is orthonormal,
+    // so multiplying on the left applies its inverse
+    vec3 viewRay = vec3(vScreen.x / uProjectionMatrix[0][0], vScreen.y / uProjectionMatrix[1][1], -1.0);
+    mat3 viewRotation = mat3(uViewMatrix[0].xyz, uViewMatrix[1].xyz, uViewMatrix[2].xyz);
+    vec3 dir = normalize(viewRay * viewRotation);
+    
+    // Gradient above the horizon, darker haze below it
+    vec3 color = mix(uHorizonColor, uZenithColor, sqrt(clamp(dir.y, 0.0, 1.0)));
+    color = mix(color, uHorizonColor * 0.5, clamp(-dir.y * 4.0, 0.0, 1.0));
+    float aboveHorizon = smoothstep(-0.02, 0.02, dir.y);
+    
+    // Sun disc and glow; the moon sits opposite
+    float sunDot = dot(dir, uSunDirection);
+    float sun = smoothstep(0.9990, 0.9994, sunDot) * 2.0 + pow(max(sunDot, 0.0), 64.0) * 0.35;
+    float moon = smoothstep(0.9994, 0.9997, -sunDot);
+    color += (vec3(1.0, 0.9, 0.7) * sun + vec3(0.8, 0.85, 0.95) * moon) * aboveHorizon;
+    
+    // Stars in a grid that turns with the sky
+    float c = cos(uSkyRotation);
+    float s = sin(uSkyRotation);
+    vec3 starDir = vec3(c * dir.x + s * dir.y, c * dir.y - s * dir.x, dir.z);
+    float star = step(0.9985, hash(floor(starDir * 180.0)));
+    color += vec3(star * uStarVisibility * aboveHorizon);
+    
+    gl_FragColor = vec4(color, 1.0);
+}
\ No newline at end of file
@@ -0,0 +1,13 @@
+// Voxel Game - Sky vertex shader
+// A triangle covering the screen; the fragment shader casts a view ray per pixel
+
+precision highp float;
+
+attribute vec2 aPosition;
+
+varying vec2 vScreen;
+
+void main() {
+    vScreen = aPosition;
+    gl_Position = vec4(aPosition, 0.0, 1.0);
+}
\ No newline at end of file
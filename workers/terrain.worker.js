@@ -0,0 +1,126 @@
+/**
+ * Voxel Game - Terrain Worker
+ * Generates and meshes chunks off the main thread (see WorkerPool)
+ * Version: 0.0.1
+ */
+
+import { Chunk } from '../js/world/Chunk.js';
+import { TerrainGenerator } from '../js/world/TerrainGenerator.js';
+import { GreedyMesher } from '../js/optimization/GreedyMesher.js';
+import { LODSystem } from '../js/optimization/LODSystem.js';
+
+let chunkSize = 16;
+let terrainGenerator = null;
+let greedyMesher = null;
+let lodSystem = null;
+
+// Jobs are queued and run one per task so cancel messages can overtake them
+const queue = [];
+const cancelled = new Set();
+let scheduled = false;
+
+const handlers = {
+    /**
+     * Generate terrain, returning the block array
+     */
+    async generate(job) {
+        const chunk = new Chunk(job.x, job.y, job.z, chunkSize);
+        await terrainGenerator.generateChunk(chunk);
+        
+        const blocks = chunk.blocks;
+        return {
+            result: { blocks, isEmpty: chunk.isEmpty },
+            transfer: [blocks.buffer]
+        };
+    },
+    
+    /**
+     * Mesh a chunk from its blocks, light and neighbors (see Chunk.buildMesh),
+     * downsampled when it has a level of detail
+     */
+    mesh(job) {
+        const chunk = new Chunk(job.x, job.y, job.z, chunkSize);
+        chunk.blocks = job.blocks;
+        chunk.light = job.light;
+        chunk.lodLevel = job.lodLevel || 0;
+        
+        const greedy = job.mesher === 'greedy';
+        let result;
+        if (chunk.lodLevel > 0) {
+            result = lodSystem.buildMesh(chunk, greedy, job.neighbors, job.neighborLight);
+        } else {
+            chunk.buildMesh(greedy ? greedyMesher : null, job.neighbors, job.neighborLight);
+            result = {
+                meshes: { opaque: chunk.mesh, translucent: chunk.translucentMesh },
+                missingNeighbors: chunk.missingNeighbors,
+                faceConnectivity: chunk.faceConnectivity
+            };
+        }
+        
+        const transfer = [];
+        for (const mesh of Object.values(result.meshes)) {
+            if (mesh) transfer.push(mesh.vertices.buffer, mesh.indices.buffer);
+        }
+        
+        return { result, transfer };
+    }
+};
+
+self.onmessage = (event) => {
+    const message = event.data;
+    
+    switch (message.type) {
+        case 'init':
+            chunkSize = message.chunkSize;
+            terrainGenerator = new TerrainGenerator(message.chunkSize, message.worldHeight, message.seed);
+            greedyMesher = new GreedyMesher(message.chunkSize);
+            lodSystem = new LODSystem(message.chunkSize);
+            self.postMessage({ type: 'ready' });
+            break;
+        
+        case 'cancel':
+            cancelled.add(message.id);
+            break;
+        
+        default:
+            queue.push(message);
+            schedule();
+    }
+};
+
+/**
+ * Run the next queued job on a fresh task
+ */
+function schedule() {
+    if (!scheduled) {
+        scheduled = true;
+        setTimeout(runNext, 0);
+    }
+}
+
+async function runNext() {
+    scheduled = false;
+    
+    const job = queue.shift();
+    if (!job) return;
+    
+    // Ids grow per worker, so older cancellations refer to finished jobs
+    for (const id of cancelled) {
+        if (id < job.id) cancelled.delete(id);
+    }
+    
+    if (cancelled.delete(job.id)) {
+        self.postMessage({ id: job.id, cancelled: true });
+    } else {
+        try {
+            const { result, transfer } = await handlers[job.type](job);
+            self.postMessage({ id: job.id, result }, transfer);
+        } catch (error) {
+            self.postMessage({ id: job.id, error: error.message || String(error) });
+        }
+    }
+    
+    if (queue.length > 0) {
+        schedule();
+    }
+}
\ No newline at end of file